@@ -0,0 +1,686 @@
+const Competition = require("../models/Competition");
+const League = require("../models/League");
+const User = require("../models/User").default;
+const mongoose = require('mongoose');
+const {
+  isSeasonFinished,
+  prepareSeasonRollover,
+  saveSeasonRollover,
+  announceSeasonRollover
+} = require("./leagueController");
+const {
+  getFinalTable,
+  getDivisionSizeError,
+  getPlayoffPairs,
+  getBoundaryMovements,
+  getDivisionZones
+} = require("../utils/divisions");
+const { parseMatchResult, getResultWinner, applyMatchResult } = require("../utils/results");
+const {
+  VISIBILITY_FIELDS,
+  isListedLeague,
+  getLeagueMemberIds,
+  canViewLeague,
+  canListLeague
+} = require("../utils/visibility");
+
+// Formats with a single final table that promotion and relegation can use
+const DIVISION_FORMATS = ['league', 'swiss'];
+
+// WebSocket functions (imported dynamically, see leagueController)
+let broadcastToAll, broadcastToUsers;
+import('../server.js')
+  .then(wsModule => {
+    broadcastToAll = wsModule.broadcastToAll;
+    broadcastToUsers = wsModule.broadcastToUsers;
+  })
+  .catch(error => console.error('❌ Error loading WebSocket functions:', error));
+
+const isCompetitionAdmin = (competition, reqUser) =>
+  !!reqUser && competition.admin.toString() === reqUser._id.toString();
+
+const parseSlots = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const slots = parseInt(value);
+  return Number.isNaN(slots) || slots < 0 ? null : slots;
+};
+
+// Divisions of a competition with their leagues, top tier first
+const loadDivisionLeagues = async (competition) => {
+  const divisions = [...competition.divisions].sort((a, b) => a.tier - b.tier);
+  const leagues = await League.find({ _id: { $in: divisions.map(d => d.leagueId) } });
+  return divisions.map(division => ({
+    tier: division.tier,
+    league: leagues.find(l => l._id.toString() === division.leagueId.toString())
+  }));
+};
+
+// Competition events go to everyone when all the leagues involved are public,
+// otherwise only to the members of those leagues
+const broadcastToCompetition = (leagues, message) => {
+  if (leagues.every(isListedLeague)) {
+    if (typeof broadcastToAll === 'function') broadcastToAll(message);
+  } else if (typeof broadcastToUsers === 'function') {
+    broadcastToUsers([...new Set(leagues.flatMap(getLeagueMemberIds))], message);
+  }
+};
+
+// Ids of the leagues `user` may see, out of `leagueIds`. `allListed` is false
+// when any of them is unlisted or private, so the response must stay out of
+// shared caches.
+const getLeagueAccess = async (leagueIds, user) => {
+  const leagues = await League.find({ _id: { $in: leagueIds } }).select(VISIBILITY_FIELDS);
+  return {
+    visible: new Set(leagues.filter(l => canViewLeague(l, user)).map(l => l._id.toString())),
+    allListed: leagues.every(isListedLeague)
+  };
+};
+
+const getSettings = (competition) => ({
+  promotionSlots: competition.promotionSlots,
+  playoffSlots: competition.playoffSlots
+});
+
+// Create Competition from existing leagues, listed from the top division down
+exports.createCompetition = async (req, res) => {
+  try {
+    const { name, description = '', divisions } = req.body;
+    const promotionSlots = parseSlots(req.body.promotionSlots, 1);
+    const playoffSlots = parseSlots(req.body.playoffSlots, 0);
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: "Name is required" });
+    }
+    if (promotionSlots === null || playoffSlots === null) {
+      return res.status(400).json({
+        success: false,
+        message: "promotionSlots and playoffSlots must be non-negative numbers"
+      });
+    }
+    if (!Array.isArray(divisions) || divisions.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "A competition needs at least 2 divisions"
+      });
+    }
+    if (divisions.some(id => !mongoose.Types.ObjectId.isValid(id)) || new Set(divisions.map(String)).size !== divisions.length) {
+      return res.status(400).json({
+        success: false,
+        message: "divisions must list different league ids"
+      });
+    }
+
+    const leagues = await League.find({ _id: { $in: divisions } });
+    if (leagues.length !== divisions.length) {
+      return res.status(404).json({
+        success: false,
+        message: "League not found"
+      });
+    }
+
+    const notAdmin = leagues.find(l => l.admin.toString() !== req.user._id.toString());
+    if (notAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: `Only the admin of ${notAdmin.name} can add it to a competition`
+      });
+    }
+
+    const wrongFormat = leagues.find(l => !DIVISION_FORMATS.includes(l.format || 'league'));
+    if (wrongFormat) {
+      return res.status(400).json({
+        success: false,
+        message: `${wrongFormat.name} has no single table; divisions must be league or swiss format`
+      });
+    }
+
+    const existing = await Competition.findOne({ 'divisions.leagueId': { $in: divisions } }).select('name');
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A league is already a division of ${existing.name}`
+      });
+    }
+
+    const competition = await Competition.create({
+      name,
+      description,
+      admin: req.user._id,
+      divisions: divisions.map((leagueId, index) => ({ leagueId, tier: index + 1 })),
+      promotionSlots,
+      playoffSlots
+    });
+
+    console.log(`🏛️ Competition created: ${competition.name} with ${divisions.length} divisions`);
+
+    res.json({
+      success: true,
+      message: "Competition created successfully",
+      data: competition
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get all competitions
+exports.getCompetitions = async (req, res) => {
+  try {
+    const competitions = await Competition.find()
+      .select('-movements -playoffs')
+      .populate('admin', 'name username')
+      .populate('divisions.leagueId', `name status seasonNumber ${VISIBILITY_FIELDS}`);
+
+    // Only divisions the user could find in the league list are shown, and
+    // competitions without any are left out
+    const listed = competitions
+      .map(competition => ({
+        ...competition.toObject(),
+        divisions: competition.divisions
+          .filter(d => d.leagueId && canListLeague(d.leagueId, req.user))
+          .map(d => ({
+            tier: d.tier,
+            leagueId: {
+              _id: d.leagueId._id,
+              name: d.leagueId.name,
+              status: d.leagueId.status,
+              seasonNumber: d.leagueId.seasonNumber
+            }
+          }))
+      }))
+      .filter(competition => competition.divisions.length > 0);
+
+    res.json({ success: true, data: listed });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get a competition with the current table zones of every division
+exports.getCompetition = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id)
+      .populate('admin', 'name username');
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+
+    // Private divisions are left out for outsiders; a competition with none
+    // left is not found
+    const divisions = await loadDivisionLeagues(competition);
+    const visibleIds = new Set(divisions
+      .filter(d => d.league && canViewLeague(d.league, req.user))
+      .map(d => d.league._id.toString()));
+    const isVisible = (leagueId) => visibleIds.has(leagueId.toString());
+    if (visibleIds.size === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+    if (!divisions.every(d => isListedLeague(d.league))) {
+      res.set('Cache-Control', 'private, no-store');
+    }
+
+    const settings = getSettings(competition);
+
+    res.json({
+      success: true,
+      data: {
+        ...competition.toObject(),
+        divisions: divisions.map(({ tier, league }, index) => ({
+          tier,
+          league: league && {
+            _id: league._id,
+            name: league.name,
+            status: league.status,
+            seasonNumber: league.seasonNumber
+          },
+          table: league
+            ? getDivisionZones(getFinalTable(league), settings, {
+              isTop: index === 0,
+              isBottom: index === divisions.length - 1
+            })
+            : []
+        })).filter(d => d.league && isVisible(d.league._id)),
+        // Play-offs and movements need both of their divisions visible
+        playoffs: competition.playoffs.filter(p =>
+          p.seasonNumber === competition.seasonNumber && isVisible(p.upperLeagueId) && isVisible(p.lowerLeagueId)
+        ),
+        movements: competition.movements.filter(m => isVisible(m.fromLeagueId) && isVisible(m.toLeagueId))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Update Competition settings
+exports.updateCompetition = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+
+    if (!isCompetitionAdmin(competition, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admin can update the competition"
+      });
+    }
+
+    const promotionSlots = parseSlots(req.body.promotionSlots, competition.promotionSlots);
+    const playoffSlots = parseSlots(req.body.playoffSlots, competition.playoffSlots);
+    if (promotionSlots === null || playoffSlots === null) {
+      return res.status(400).json({
+        success: false,
+        message: "promotionSlots and playoffSlots must be non-negative numbers"
+      });
+    }
+
+    // Play-offs already drawn for this season were drawn with the old places
+    const drawn = competition.playoffs.some(p => p.seasonNumber === competition.seasonNumber);
+    if (drawn && (promotionSlots !== competition.promotionSlots || playoffSlots !== competition.playoffSlots)) {
+      return res.status(400).json({
+        success: false,
+        message: "Places cannot change once this season's play-offs are drawn"
+      });
+    }
+
+    if (req.body.name) competition.name = req.body.name;
+    if (typeof req.body.description === 'string') competition.description = req.body.description;
+    competition.promotionSlots = promotionSlots;
+    competition.playoffSlots = playoffSlots;
+    await competition.save();
+
+    res.json({
+      success: true,
+      message: "Competition updated successfully",
+      data: competition
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Draw the play-offs once every division has finished its season
+exports.createPlayoffs = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+
+    if (!isCompetitionAdmin(competition, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admin can draw the play-offs"
+      });
+    }
+
+    if (competition.playoffSlots === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This competition has no play-off places"
+      });
+    }
+
+    if (competition.playoffs.some(p => p.seasonNumber === competition.seasonNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: "Play-offs for this season are already drawn"
+      });
+    }
+
+    const divisions = await loadDivisionLeagues(competition);
+    const unfinished = divisions.find(d => !d.league || !isSeasonFinished(d.league));
+    if (unfinished) {
+      return res.status(400).json({
+        success: false,
+        message: `${unfinished.league ? unfinished.league.name : 'A division'} has not finished its season`
+      });
+    }
+
+    const settings = getSettings(competition);
+    const tables = divisions.map(d => ({ name: d.league.name, teams: getFinalTable(d.league) }));
+    const sizeError = getDivisionSizeError(tables, settings);
+    if (sizeError) {
+      return res.status(400).json({ success: false, message: sizeError });
+    }
+
+    for (let i = 0; i < divisions.length - 1; i++) {
+      getPlayoffPairs(tables[i].teams, tables[i + 1].teams, settings).forEach(pair => {
+        competition.playoffs.push({
+          ...pair,
+          seasonNumber: competition.seasonNumber,
+          upperLeagueId: divisions[i].league._id,
+          lowerLeagueId: divisions[i + 1].league._id
+        });
+      });
+    }
+    await competition.save();
+
+    broadcastToCompetition(divisions.map(d => d.league), {
+      type: 'PLAYOFFS_DRAWN',
+      competitionId: competition._id,
+      playoffs: competition.playoffs.filter(p => p.seasonNumber === competition.seasonNumber),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: "Play-offs drawn successfully",
+      data: competition.playoffs.filter(p => p.seasonNumber === competition.seasonNumber)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Record a play-off result. A play-off needs a winner, so a level score
+// must be settled with extra time or penalties.
+exports.updatePlayoffResult = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+
+    if (!isCompetitionAdmin(competition, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admin can record play-off results"
+      });
+    }
+
+    const playoff = competition.playoffs.id(req.params.playoffId);
+    if (!playoff || playoff.seasonNumber !== competition.seasonNumber) {
+      return res.status(404).json({
+        success: false,
+        message: "Play-off not found"
+      });
+    }
+
+    const { result, error } = parseMatchResult(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (getResultWinner(result) === 'draw') {
+      return res.status(400).json({
+        success: false,
+        message: "A play-off needs a winner; add extra time or penalties"
+      });
+    }
+
+    applyMatchResult(playoff, result);
+    await competition.save();
+
+    const playoffLeagues = await League.find({ _id: { $in: [playoff.upperLeagueId, playoff.lowerLeagueId] } })
+      .select(VISIBILITY_FIELDS);
+    broadcastToCompetition(playoffLeagues, {
+      type: 'PLAYOFF_UPDATED',
+      competitionId: competition._id,
+      playoff,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: "Play-off result recorded",
+      data: playoff
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Start the next season of every division. Promotion and relegation are
+// applied from the final tables and play-offs, then each division is
+// archived and rolled over as with a single league's new season.
+exports.rolloverCompetition = async (req, res) => {
+  try {
+    const { startDate, endDate, participants: participantMode = 'keep' } = req.body;
+
+    const competition = await Competition.findById(req.params.id);
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+
+    if (!isCompetitionAdmin(competition, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admin can start a new season"
+      });
+    }
+
+    const divisions = await loadDivisionLeagues(competition);
+    const unfinished = divisions.find(d => !d.league || !isSeasonFinished(d.league));
+    if (unfinished) {
+      return res.status(400).json({
+        success: false,
+        message: `${unfinished.league ? unfinished.league.name : 'A division'} has not finished its season`
+      });
+    }
+
+    const settings = getSettings(competition);
+    const tables = divisions.map(d => ({ name: d.league.name, teams: getFinalTable(d.league) }));
+    const sizeError = getDivisionSizeError(tables, settings);
+    if (sizeError) {
+      return res.status(400).json({ success: false, message: sizeError });
+    }
+
+    const playoffs = competition.playoffs.filter(p => p.seasonNumber === competition.seasonNumber);
+    if (settings.playoffSlots > 0 && (playoffs.length === 0 || playoffs.some(p => !p.played))) {
+      return res.status(400).json({
+        success: false,
+        message: "Draw and play every play-off before starting a new season"
+      });
+    }
+
+    // Work out every move first, then build each division's new participant list
+    const moves = [];
+    for (let i = 0; i < divisions.length - 1; i++) {
+      const upper = divisions[i].league;
+      const lower = divisions[i + 1].league;
+      const boundaryPlayoffs = playoffs.filter(p =>
+        p.upperLeagueId.toString() === upper._id.toString() &&
+        p.lowerLeagueId.toString() === lower._id.toString()
+      );
+      getBoundaryMovements(tables[i].teams, tables[i + 1].teams, settings, boundaryPlayoffs)
+        .forEach(move => {
+          const from = move.from === 'upper' ? upper : lower;
+          const participant = from.participants.find(p => p.teamName === move.teamName && p.status === 'approved');
+          if (!participant) return;
+          moves.push({
+            ...move,
+            participant,
+            fromLeague: from,
+            toLeague: move.from === 'upper' ? lower : upper
+          });
+        });
+    }
+
+    const nextParticipants = new Map();
+    divisions.forEach(({ league }) => {
+      const leaving = moves.filter(m => m.fromLeague === league).map(m => m.participant);
+      const staying = league.participants
+        .filter(p => !leaving.includes(p))
+        .map(p => p.toObject());
+      const arriving = moves
+        .filter(m => m.toLeague === league)
+        .map(m => ({
+          userId: m.participant.userId,
+          teamName: m.participant.teamName,
+          teamId: m.participant.teamId,
+          teamLogoUrl: m.participant.teamLogoUrl,
+          joinedAt: new Date(),
+          // Same status as the teams that stay once prepareSeasonRollover has run
+          status: participantMode === 'reconfirm' ? 'unconfirmed' : 'approved'
+        }));
+      nextParticipants.set(league, [...staying, ...arriving]);
+    });
+
+    const clash = divisions.find(({ league }) => {
+      const names = nextParticipants.get(league).map(p => p.teamName);
+      return new Set(names).size !== names.length;
+    });
+    if (clash) {
+      return res.status(400).json({
+        success: false,
+        message: `${clash.league.name} would have two teams with the same name after promotion and relegation`
+      });
+    }
+
+    const rollovers = [];
+    for (const { league } of divisions) {
+      const rollover = prepareSeasonRollover(league, {
+        startDate,
+        endDate,
+        participantMode,
+        participants: nextParticipants.get(league),
+        fixtureOptions: req.body
+      });
+      if (rollover.error) {
+        return res.status(400).json({ success: false, message: rollover.error });
+      }
+      rollovers.push({ league, rollover });
+    }
+
+    moves.forEach(move => {
+      competition.movements.push({
+        seasonNumber: competition.seasonNumber,
+        userId: move.participant.userId,
+        teamName: move.teamName,
+        fromLeagueId: move.fromLeague._id,
+        toLeagueId: move.toLeague._id,
+        direction: move.direction,
+        via: move.via,
+        position: move.position
+      });
+    });
+    competition.seasonNumber += 1;
+
+    // Every division, its archive, the competition and the moved users are
+    // saved in one transaction. A failure part way leaves the finished season
+    // untouched, so the rollover can simply be retried. Transactions need
+    // MongoDB to run as a replica set.
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      for (const { league, rollover } of rollovers) {
+        await saveSeasonRollover(league, rollover, { session });
+      }
+      await competition.save({ session });
+      // Operations in a transaction must not run in parallel. A moved user's
+      // entry for the division they left is pointed at the new one.
+      for (const move of moves) {
+        const entry = { leagueId: move.toLeague._id.toString(), leagueName: move.toLeague.name, teamName: move.teamName, joinedAt: new Date() };
+        const moved = await User.updateOne(
+          { _id: move.participant.userId, 'leagues.leagueId': move.fromLeague._id.toString() },
+          { $set: { 'leagues.$': entry } },
+          { session }
+        );
+        if (moved.matchedCount === 0) {
+          await User.updateOne(
+            { _id: move.participant.userId },
+            { $push: { leagues: entry } },
+            { session }
+          );
+        }
+      }
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction().catch(() => {});
+      throw err;
+    } finally {
+      await session.endSession();
+    }
+
+    rollovers.forEach(({ league, rollover }) => announceSeasonRollover(league, rollover.archive));
+
+    console.log(`🏛️ ${competition.name}: season ${competition.seasonNumber} started, ${moves.length} teams moved`);
+
+    const movements = competition.movements.filter(m => m.seasonNumber === competition.seasonNumber - 1);
+
+    broadcastToCompetition(divisions.map(d => d.league), {
+      type: 'COMPETITION_NEW_SEASON',
+      competitionId: competition._id,
+      seasonNumber: competition.seasonNumber,
+      movements,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: `Season ${competition.seasonNumber} started, ${moves.length} teams changed division`,
+      data: {
+        competition,
+        movements
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error in rolloverCompetition:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Promotion and relegation history, optionally for one season (?season=)
+exports.getMovements = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id)
+      .select('name seasonNumber movements')
+      .populate('movements.userId', 'name username')
+      .populate('movements.fromLeagueId', 'name')
+      .populate('movements.toLeagueId', 'name');
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: "Competition not found"
+      });
+    }
+
+    const season = req.query.season !== undefined ? parseInt(req.query.season) : null;
+    if (season !== null && (Number.isNaN(season) || season < 1)) {
+      return res.status(400).json({ success: false, message: "season must be a positive number" });
+    }
+
+    // A movement is shown to those who can see both leagues involved
+    const leagueIds = competition.movements.flatMap(m => [m.fromLeagueId?._id, m.toLeagueId?._id]).filter(Boolean);
+    const { visible, allListed } = await getLeagueAccess(leagueIds, req.user);
+    if (!allListed) {
+      res.set('Cache-Control', 'private, no-store');
+    }
+
+    const movements = competition.movements
+      .filter(m => season === null || m.seasonNumber === season)
+      .filter(m => visible.has(m.fromLeagueId?._id?.toString()) && visible.has(m.toLeagueId?._id?.toString()))
+      .sort((a, b) => b.seasonNumber - a.seasonNumber);
+
+    res.json({
+      success: true,
+      data: {
+        competitionName: competition.name,
+        currentSeason: competition.seasonNumber,
+        movements
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
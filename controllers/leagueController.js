@@ -1,6 +1,65 @@
 const League = require("../models/League");
 const User = require("../models/User").default;
+const Rating = require("../models/Rating").default;
+const AuditLog = require("../models/AuditLog");
+const Season = require("../models/Season");
+const Competition = require("../models/Competition");
 const mongoose = require('mongoose');
+const { drawGroups, buildRoundRobin, roundsToMatches } = require("../utils/fixtures");
+const {
+  getPointsSystem,
+  getTableMatches,
+  getTiebreakers,
+  drawLots,
+  rankLeague
+} = require("../utils/standings");
+const { pairSwissRound } = require("../utils/swiss");
+const { getRemainingFixtures, getTableChampion, calculateScenarios } = require("../utils/scenarios");
+const {
+  parseMatchResult,
+  getResultWinner,
+  toScorePair,
+  getStoredResult,
+  isSameResult,
+  getResultSnapshot,
+  clearMatchResult,
+  applyMatchResult
+} = require("../utils/results");
+const { MAX_EVIDENCE_PER_MATCH, validateEvidenceImage } = require("../utils/evidence");
+const { getStorage } = require("../utils/storage");
+const { validateMatchEvents, goalsMatchScore, buildLeaders } = require("../utils/events");
+const { fillTableRows, getTableRoundCount, computeTablesAsOf, buildPositionHistory } = require("../utils/history");
+const {
+  getTeamKey,
+  getRowKey,
+  getSideKey,
+  findTeamRow,
+  findTeamOwner,
+  assignMissingTeamIds,
+  linkTeamIds,
+  renameTeam
+} = require("../utils/teams");
+const { generateInviteToken, getInviteError } = require("../utils/invites");
+const {
+  VISIBILITIES,
+  VISIBILITY_FIELDS,
+  isListedLeague,
+  getLeagueMemberIds,
+  canViewLeague,
+  getListedLeagueFilter
+} = require("../utils/visibility");
+const { toDay, addDays, nextMatchDay, hasEnoughRest, scheduleRounds } = require("../utils/schedule");
+const {
+  nextPowerOfTwo,
+  getRoundName,
+  orderSeeds,
+  getKnockoutMatches,
+  getKnockoutRoundCount,
+  getKnockoutWinner,
+  findNextKnockoutMatch,
+  advanceKnockoutWinner,
+  buildKnockoutBracket
+} = require("../utils/bracket");
 
 // WebSocket functions (will be imported dynamically to avoid issues)
 let broadcastToAll, broadcastToUser, broadcastToUsers;
@@ -57,10 +116,117 @@ const checkAdmin = (league, reqUser) => {
   return leagueAdminId === requestUserId;
 };
 
+// Optional free-text reason sent with a change
+const getReason = (body) =>
+  (typeof body?.reason === 'string' ? body.reason.trim().slice(0, 500) : '');
+
+// Settings an admin may change through updateLeague. Teams, matches,
+// participants and the winner only change through the endpoints that keep
+// standings and the audit trail in step; the waitlist, join codes and
+// invites have their own endpoints too.
+const EDITABLE_LEAGUE_FIELDS = [
+  'name',
+  'description',
+  'leagueLogoUrl',
+  'startDate',
+  'endDate',
+  'maxParticipants',
+  'requiresApproval',
+  'visibility',
+  'format',
+  'groupSettings',
+  'swissRounds',
+  'pointsSystem',
+  'tiebreakers',
+  'schedule',
+  'legs',
+  'status'
+];
+
+// Settings the generated fixtures were built from. They are locked once a
+// league has matches, or the fixtures, bracket or Swiss rounds would no
+// longer follow the settings.
+const FIXTURE_SETTINGS = ['format', 'legs', 'groupSettings', 'swissRounds', 'status'];
+
+// Whether a submitted setting leaves the stored one as it is. Objects only
+// compare the keys that were sent.
+const isSameSetting = (current, value) => {
+  const stored = current?.toObject ? current.toObject() : current;
+  if (value && typeof value === 'object') {
+    return !!stored && Object.keys(value).every(key => JSON.stringify(stored[key]) === JSON.stringify(value[key]));
+  }
+  return String(stored) === String(value);
+};
+
+const AUDIT_FAILED_WARNING = 'The change was saved but could not be recorded in the audit trail';
+
+// Append an entry to the audit trail. The change itself is already saved and
+// audit entries cannot be deleted, so a failure is logged and resolves to
+// null for the caller to report in its response.
+const recordAudit = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (err) {
+    console.error('❌ Error writing audit log:', err);
+    return null;
+  }
+};
+
+// Join the warnings of a request into one message, or undefined without any
+const joinWarnings = (...warnings) => warnings.filter(Boolean).join(' ') || undefined;
+
+// Send a league event over the WebSocket. Public leagues are announced to
+// everyone; unlisted and private ones only to their members.
+const broadcastToLeague = (league, message) => {
+  if (isListedLeague(league)) {
+    if (typeof broadcastToAll === 'function') broadcastToAll(message);
+  } else if (typeof broadcastToUsers === 'function') {
+    broadcastToUsers(getLeagueMemberIds(league), message);
+  }
+};
+
+// The league as sent to `user`: only the admin gets the join code, so a
+// rotated code stays with whoever the admin hands it to.
+const formatLeague = (league, user) => {
+  const data = league.toJSON ? league.toJSON() : { ...league };
+  const adminId = (league.admin?._id || league.admin)?.toString();
+  if (!user || adminId !== (user._id || user.id).toString()) delete data.joinCode;
+  return data;
+};
+
+// Respond 404 when the user may not see the league, so private leagues do not
+// reveal that they exist. Responses about unlisted and private leagues must
+// not be stored by shared caches. Returns true when the request was handled.
+const hideLeague = (league, req, res) => {
+  if (!league || !canViewLeague(league, req.user)) {
+    res.status(404).json({ 
+      success: false, 
+      message: "League not found" 
+    });
+    return true;
+  }
+  if (!isListedLeague(league)) {
+    res.set('Cache-Control', 'private, no-store');
+  }
+  return false;
+};
+
 // Create League
 exports.createLeague = async (req, res) => {
   try {
-    const { name, description, startDate, endDate, maxParticipants, leagueLogoUrl } = req.body;
+    const { 
+      name, description, startDate, endDate, maxParticipants, leagueLogoUrl,
+      format, legs, groupSettings, schedule, pointsSystem, tiebreakers, requiresApproval,
+      visibility
+    } = req.body;
+
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "visibility must be public, unlisted or private" 
+      });
+    }
+
     const sanitizedLogo =
       typeof leagueLogoUrl === 'string' ? leagueLogoUrl.trim() : '';
 
@@ -70,19 +236,25 @@ exports.createLeague = async (req, res) => {
       startDate,
       endDate,
       maxParticipants,
+      format,
+      legs,
+      groupSettings,
+      schedule,
+      pointsSystem,
+      tiebreakers,
+      requiresApproval: requiresApproval === true,
+      visibility,
       leagueLogoUrl: sanitizedLogo,
       admin: req.user.id,
       status: 'draft'
     });
     
     // Broadcast new league creation
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'LEAGUE_CREATED',
-        league: league,
-        timestamp: new Date().toISOString()
-      });
-    }
+    broadcastToLeague(league, {
+      type: 'LEAGUE_CREATED',
+      league: formatLeague(league, null),
+      timestamp: new Date().toISOString()
+    });
 
     res.json({ 
       success: true, 
@@ -97,12 +269,20 @@ exports.createLeague = async (req, res) => {
 // Get all leagues
 exports.getLeagues = async (req, res) => {
   try {
-    const leagues = await League.find()
-      .populate('admin', 'name email username')
-      .populate('participants.userId', 'name email username')
+    // Public leagues plus, for a signed-in user, the leagues they belong to.
+    // ?search= matches league names.
+    const filter = getListedLeagueFilter(req.user);
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = req.query.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.name = { $regex: pattern, $options: 'i' };
+    }
+
+    const leagues = await League.find(filter)
+      .populate('admin', 'name username')
+      .populate('participants.userId', 'name username')
       .populate('winner.userId', 'name username')
       .populate('previousWinners.userId', 'name username');
-    res.json({ success: true, data: leagues });
+    res.json({ success: true, data: leagues.map(league => formatLeague(league, req.user)) });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -117,12 +297,12 @@ exports.getMyLeagues = async (req, res) => {
         { 'participants.userId': req.user.id }
       ]
     })
-    .populate('admin', 'name email username')
-    .populate('participants.userId', 'name email username')
+    .populate('admin', 'name username')
+    .populate('participants.userId', 'name username')
     .populate('winner.userId', 'name username')
     .populate('previousWinners.userId', 'name username');
     
-    res.json({ success: true, data: leagues });
+    res.json({ success: true, data: leagues.map(league => formatLeague(league, req.user)) });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -149,7 +329,30 @@ exports.updateLeague = async (req, res) => {
       });
     }
 
-    const updatePayload = { ...req.body };
+    if (req.body.visibility !== undefined && !VISIBILITIES.includes(req.body.visibility)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "visibility must be public, unlisted or private" 
+      });
+    }
+    const wasListed = isListedLeague(league);
+
+    if (league.matches.length > 0) {
+      const locked = FIXTURE_SETTINGS.filter(field =>
+        req.body[field] !== undefined && !isSameSetting(league[field], req.body[field])
+      );
+      if (locked.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `${locked.join(', ')} cannot change once fixtures are generated` 
+        });
+      }
+    }
+
+    const updatePayload = {};
+    EDITABLE_LEAGUE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updatePayload[field] = req.body[field];
+    });
     if (typeof updatePayload.leagueLogoUrl === 'string') {
       updatePayload.leagueLogoUrl = updatePayload.leagueLogoUrl.trim();
     }
@@ -159,15 +362,35 @@ exports.updateLeague = async (req, res) => {
       updatePayload, 
       { new: true, runValidators: true }
     )
-      .populate('admin', 'name email username')
-      .populate('participants.userId', 'name email username')
+      .populate('admin', 'name username')
+      .populate('participants.userId', 'name username')
       .populate('winner.userId', 'name username');
 
+    // New scoring rules or tiebreakers apply to every result already in the table
+    if ((updatePayload.pointsSystem || updatePayload.tiebreakers) && updatedLeague.matches.length > 0) {
+      await recalculateStandings(updatedLeague);
+      await updatedLeague.save();
+    }
+
+    // A raised maxParticipants opens places for the waitlist
+    const promoted = promoteFromWaitlist(updatedLeague);
+    if (promoted.length > 0) {
+      await updatedLeague.save();
+      await notifyPromoted(updatedLeague, promoted);
+    }
+
     // Broadcast league update
-    if (typeof broadcastToAll === 'function') {
+    broadcastToLeague(updatedLeague, {
+      type: 'LEAGUE_UPDATED',
+      league: formatLeague(updatedLeague, null),
+      timestamp: new Date().toISOString()
+    });
+
+    // Everyone else drops a league that is no longer public from their lists
+    if (wasListed && !isListedLeague(updatedLeague) && typeof broadcastToAll === 'function') {
       broadcastToAll({
-        type: 'LEAGUE_UPDATED',
-        league: updatedLeague,
+        type: 'LEAGUE_HIDDEN',
+        leagueId: updatedLeague._id,
         timestamp: new Date().toISOString()
       });
     }
@@ -182,71 +405,119 @@ exports.updateLeague = async (req, res) => {
   }
 };
 
-// Update standings
-// Update standings - COMPLETE
-exports.updateStandings = async (req, res) => {
-  try {
-    const { teams } = req.body;
-    const league = await League.findById(req.params.id);
-    
-    if (!league) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "League not found" 
-      });
-    }
+// A user's entry in the league. Someone handed a team after withdrawing has
+// more than one; the withdrawn entries stay on record for their old matches,
+// so the current entry comes first.
+const findUserEntry = (league, userId) => {
+  const entries = league.participants.filter(p => p.userId.toString() === userId.toString());
+  return entries.find(p => p.status !== 'withdrawn') || entries[0] || null;
+};
 
-    // Check if user is admin - FIXED
-    if (!checkAdmin(league, req.user)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Only admin can update standings" 
-      });
+// Record a joined league on the user document
+const addUserLeague = (userId, league, teamName) =>
+  User.updateOne(
+    { _id: userId },
+    { $push: { leagues: { leagueId: league._id.toString(), leagueName: league.name, teamName, joinedAt: new Date() } } }
+  );
+
+// Participants holding or waiting for a place; rejected requests and
+// withdrawn teams do not count
+const countTakenSpots = (league) =>
+  league.participants.filter(p => !['rejected', 'withdrawn'].includes(p.status)).length;
+
+// Team name not yet used by a participant or a waitlisted user, made unique
+// with a number suffix when needed
+const getUniqueTeamName = (league, teamName) => {
+  const taken = (name) =>
+    league.participants.some(p => p.teamName.toLowerCase() === name.toLowerCase()) ||
+    league.waitlist.some(w => w.teamName.toLowerCase() === name.toLowerCase());
+
+  let uniqueTeamName = teamName;
+  let counter = 1;
+  while (taken(uniqueTeamName)) {
+    uniqueTeamName = `${teamName}${counter}`;
+    counter++;
+  }
+  return uniqueTeamName;
+};
+
+// Move users from the front of the waitlist into free places, until fixtures
+// are generated. In leagues that require approval they become join requests.
+// Returns the promoted participants; the caller saves the league and then
+// calls notifyPromoted.
+const promoteFromWaitlist = (league) => {
+  const promoted = [];
+  while (
+    league.waitlist.length > 0 &&
+    league.matches.length === 0 &&
+    countTakenSpots(league) < league.maxParticipants
+  ) {
+    const entry = league.waitlist.shift();
+    league.participants.push({
+      userId: entry.userId,
+      teamName: getUniqueTeamName(league, entry.teamName),
+      teamLogoUrl: entry.teamLogoUrl,
+      status: league.requiresApproval ? 'pending' : 'approved'
+    });
+    promoted.push(league.participants[league.participants.length - 1]);
+  }
+  return promoted;
+};
+
+const notifyPromoted = async (league, promoted) => {
+  for (const participant of promoted) {
+    const userId = participant.userId._id || participant.userId;
+    if (participant.status === 'approved') {
+      await addUserLeague(userId, league, participant.teamName);
     }
 
-    league.teams = teams;
-    await league.save();
-    
-    // Broadcast standings update
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'LEAGUE_UPDATED',
+    console.log(`⏫ ${participant.teamName} promoted from the waitlist of ${league.name}`);
+
+    if (typeof broadcastToUser === 'function') {
+      broadcastToUser(userId.toString(), {
+        type: 'WAITLIST_PROMOTED',
         leagueId: league._id,
+        leagueName: league.name,
+        teamName: participant.teamName,
+        status: participant.status,
         timestamp: new Date().toISOString()
       });
     }
-
-    res.json({ 
-      success: true, 
-      message: "Standings updated successfully", 
-      data: league 
-    });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
   }
 };
 
+// Times a join is retried when another change to the league wins the race
+const JOIN_ATTEMPTS = 3;
+
 // Join League
-exports.joinLeague = async (req, res) => {
+exports.joinLeague = async (req, res, next, attempt = 1) => {
   try {
-    const { joinCode, teamName, teamLogoUrl } = req.body;
+    const { joinCode, inviteToken, teamName, teamLogoUrl } = req.body;
     
-    if (!joinCode) {
+    if (!joinCode && !inviteToken) {
       return res.status(400).json({ 
         success: false, 
-        message: "Join code is required" 
+        message: "Join code or invite token is required" 
       });
     }
 
-    const league = await League.findOne({ joinCode: joinCode.toUpperCase() });
+    const league = inviteToken
+      ? await League.findOne({ 'invites.token': inviteToken }).select('+invites')
+      : await League.findOne({ joinCode: joinCode.toUpperCase() });
     
     if (!league) {
       return res.status(404).json({ 
         success: false, 
-        message: "League not found with this join code" 
+        message: inviteToken ? "Invite not found" : "League not found with this join code" 
       });
     }
 
+    const invite = inviteToken ? league.invites.find(i => i.token === inviteToken) : null;
+    const inviteError = invite && getInviteError(invite);
+    if (inviteError) {
+      return res.status(400).json({ success: false, message: inviteError });
+    }
+
     // Check if league can be joined
     if (league.status !== 'draft') {
       if (league.status === 'active') {
@@ -262,26 +533,43 @@ exports.joinLeague = async (req, res) => {
       }
     }
 
-    // Check if league is full
-    if (league.participants.length >= league.maxParticipants) {
+    // Check if user already joined
+    const existingEntry = findUserEntry(league, req.user.id);
+    
+    if (existingEntry?.status === 'pending') {
       return res.status(400).json({ 
         success: false, 
-        message: "League is full" 
+        message: "Your request to join this league is waiting for the admin" 
       });
     }
-
-    // Check if user already joined
-    const alreadyJoined = league.participants.some(
-      p => p.userId.toString() === req.user.id.toString()
-    );
-    
-    if (alreadyJoined) {
+    if (existingEntry?.status === 'rejected') {
+      return res.status(403).json({ 
+        success: false, 
+        message: existingEntry.decisionReason
+          ? `Your request to join this league was declined: ${existingEntry.decisionReason}`
+          : "Your request to join this league was declined" 
+      });
+    }
+    if (existingEntry) {
       return res.status(400).json({ 
         success: false, 
         message: "You have already joined this league" 
       });
     }
 
+    const waitlistPosition = league.waitlist.findIndex(
+      w => w.userId.toString() === req.user.id.toString()
+    ) + 1;
+    if (waitlistPosition > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You are already on the waitlist at position ${waitlistPosition}` 
+      });
+    }
+
+    // Full leagues put the user on the waitlist, so queue behind anyone already there
+    const isFull = countTakenSpots(league) >= league.maxParticipants || league.waitlist.length > 0;
+
     // AUTO-FETCH USERNAME AND USE AS TEAM NAME
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -291,38 +579,63 @@ exports.joinLeague = async (req, res) => {
       });
     }
 
-    // Use username as team name (you can customize this logic)
-    const autoTeamName = teamName && teamName.trim() !== '' 
-      ? teamName.trim() 
+    // Use username as team name (you can customize this logic). An invite
+    // can come with the team name already chosen by the admin.
+    const requestedTeamName = invite?.teamName || teamName;
+    const autoTeamName = requestedTeamName && requestedTeamName.trim() !== '' 
+      ? requestedTeamName.trim() 
       : user.username;
     const preferredLogo = typeof teamLogoUrl === 'string' && teamLogoUrl.trim() !== ''
       ? teamLogoUrl.trim()
       : (user.settings?.selectedTeam?.logoUrl || '');
 
-    // Check if team name is already taken in this league
-    const teamNameTaken = league.participants.some(
-      p => p.teamName.toLowerCase() === autoTeamName.toLowerCase()
-    );
-    
-    let finalTeamName = autoTeamName;
-    if (teamNameTaken) {
-      // If team name is taken, append a number to make it unique
-      let uniqueTeamName = autoTeamName;
-      let counter = 1;
-      while (league.participants.some(p => p.teamName.toLowerCase() === uniqueTeamName.toLowerCase())) {
-        uniqueTeamName = `${autoTeamName}${counter}`;
-        counter++;
+    // If team name is taken, append a number to make it unique
+    const finalTeamName = getUniqueTeamName(league, autoTeamName);
+
+    // Save only if nobody else changed the league since it was loaded, so
+    // places, invite uses and team names are never handed out twice
+    league.increment();
+
+    if (isFull) {
+      league.waitlist.push({
+        userId: req.user.id,
+        teamName: finalTeamName,
+        teamLogoUrl: preferredLogo
+      });
+      if (invite) {
+        invite.redemptions.push({ userId: req.user.id, teamName: finalTeamName, status: 'waitlisted' });
       }
-      finalTeamName = uniqueTeamName;
+      await league.save();
+
+      console.log(`⏳ ${user.username} waitlisted for ${league.name} at position ${league.waitlist.length}`);
+
+      return res.json({ 
+        success: true, 
+        message: `League is full, you are on the waitlist at position ${league.waitlist.length}`, 
+        data: {
+          leagueId: league._id,
+          leagueName: league.name,
+          teamName: finalTeamName,
+          status: 'waitlisted',
+          waitlistPosition: league.waitlist.length
+        }
+      });
     }
 
-    // Add participant with the resolved team name and logo
+    // Add participant with the resolved team name and logo. Leagues that
+    // require approval hold the place as a pending request; invites come
+    // from the admin and skip approval.
+    const status = league.requiresApproval && !invite ? 'pending' : 'approved';
     league.participants.push({
       userId: req.user.id,
       teamName: finalTeamName,
       teamLogoUrl: preferredLogo,
-      status: 'approved'
+      status,
+      inviteId: invite?._id
     });
+    if (invite) {
+      invite.redemptions.push({ userId: req.user.id, teamName: finalTeamName, status: 'approved' });
+    }
 
     // Update existing standings team entry if present
     const existingTeam = league.teams?.find(
@@ -333,31 +646,66 @@ exports.joinLeague = async (req, res) => {
     }
 
     await league.save();
-    
-    // Populate the data before sending response
-    await league.populate('admin', 'name email username');
-    await league.populate('participants.userId', 'name email username');
 
-    // Broadcast participant added
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'PARTICIPANT_ADDED',
-        leagueId: league._id,
-        participant: {
-          userId: req.user.id,
+    if (status === 'pending') {
+      console.log(`📝 Join request from ${user.username} for ${league.name}`);
+
+      if (typeof broadcastToUser === 'function') {
+        broadcastToUser(league.admin.toString(), {
+          type: 'JOIN_REQUESTED',
+          leagueId: league._id,
+          leagueName: league.name,
+          participant: {
+            userId: req.user.id,
+            teamName: finalTeamName,
+            teamLogoUrl: preferredLogo
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return res.json({ 
+        success: true, 
+        message: "Join request sent, waiting for the admin to approve it", 
+        data: {
+          leagueId: league._id,
+          leagueName: league.name,
           teamName: finalTeamName,
-          teamLogoUrl: preferredLogo
-        },
-        timestamp: new Date().toISOString()
+          status
+        }
       });
     }
 
+    // Keep the user's own league list in step with the participants
+    await addUserLeague(user._id, league, finalTeamName);
+    
+    // Populate the data before sending response
+    await league.populate('admin', 'name username');
+    await league.populate('participants.userId', 'name username');
+
+    // Broadcast participant added
+    broadcastToLeague(league, {
+      type: 'PARTICIPANT_ADDED',
+      leagueId: league._id,
+      participant: {
+        userId: req.user.id,
+        teamName: finalTeamName,
+        teamLogoUrl: preferredLogo
+      },
+      timestamp: new Date().toISOString()
+    });
+
     res.json({ 
       success: true, 
       message: "Successfully joined league", 
-      data: league 
+      data: formatLeague(league, req.user) 
     });
   } catch (err) {
+    // Another change reached the league first: check everything again
+    // against the saved league
+    if (err instanceof mongoose.Error.VersionError && attempt < JOIN_ATTEMPTS) {
+      return exports.joinLeague(req, res, next, attempt + 1);
+    }
     console.error("Join league error:", err);
     res.status(500).json({ 
       success: false, 
@@ -366,6 +714,203 @@ exports.joinLeague = async (req, res) => {
   }
 };
 
+const getRoundKey = (match) => `${match.stage}:${match.roundNumber}`;
+
+const getScheduleSettings = (league) => ({
+  matchDays: [...(league.schedule?.matchDays || [])],
+  minRestDays: league.schedule?.minRestDays || 0,
+  blackoutDates: [...(league.schedule?.blackoutDates || [])]
+});
+
+// Give every match in `matches` the date of its round on the league calendar.
+// `previousMatches` are already scheduled and count towards each team's rest.
+// Rounds whose teams are not known yet (later knockout rounds) are rested as
+// if every team in the set played in them.
+const scheduleMatches = (league, matches, { from, totalRounds, previousMatches = [] } = {}) => {
+  const roundKeys = [...new Set(matches.map(getRoundKey))];
+  const allTeams = [...new Set(matches.flatMap(m => [m.homeTeam, m.awayTeam]).filter(Boolean))];
+
+  const rounds = roundKeys.map(key => {
+    const roundMatches = matches.filter(m => getRoundKey(m) === key);
+    const teamsKnown = roundMatches.every(m => m.homeTeam && (m.awayTeam || m.isBye));
+    return {
+      key,
+      teams: teamsKnown
+        ? [...new Set(roundMatches.flatMap(m => [m.homeTeam, m.awayTeam]).filter(Boolean))]
+        : allTeams
+    };
+  });
+
+  const lastPlayed = new Map();
+  previousMatches.forEach(m => {
+    [m.homeTeam, m.awayTeam].filter(Boolean).forEach(team => {
+      if (!lastPlayed.has(team) || m.date > lastPlayed.get(team)) lastPlayed.set(team, m.date);
+    });
+  });
+
+  const today = toDay(new Date());
+  const startDate = [toDay(from || league.startDate), today].reduce((a, b) => (a > b ? a : b));
+
+  const result = scheduleRounds(rounds, {
+    ...getScheduleSettings(league),
+    startDate,
+    endDate: league.endDate,
+    totalRounds: Math.max(totalRounds || 0, rounds.length),
+    lastPlayed
+  });
+  if (result.error) return result;
+
+  matches.forEach(m => {
+    m.date = result.dates.get(getRoundKey(m));
+  });
+  return result;
+};
+
+// Later stages are scheduled after the season is under way. If they no longer
+// fit, the season is extended rather than left ending before its last match.
+const extendSeasonToLastMatch = (league) => {
+  const lastDate = league.matches.reduce((max, m) => (m.date > max ? m.date : max), league.endDate);
+  if (lastDate > league.endDate) {
+    console.log(`📅 ${league.name} end date moved to ${lastDate.toISOString().slice(0, 10)} to fit the schedule`);
+    league.endDate = lastDate;
+  }
+};
+
+// Build teams, fixtures and byes for the approved participants in the
+// league's format and date them across the season. Format settings such as
+// legs, groups and Swiss rounds come from `options` or the league itself.
+// Returns { teams, matches, byes } or { error }.
+const buildLeagueFixtures = (league, participants, options = {}) => {
+  assignMissingTeamIds(league);
+
+  // Create teams from participants, each with its lot for the last tiebreaker
+  const teams = drawLots(participants.map(participant => ({
+    name: participant.teamName,
+    logo: participant.teamLogoUrl && participant.teamLogoUrl.trim() !== ''
+      ? participant.teamLogoUrl
+      : `https://api.dicebear.com/7.x/shapes/svg?seed=${encodeURIComponent(participant.teamName)}&backgroundColor=yellow,orange,red,blue,green&size=80`,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    goalDifference: 0,
+    points: 0,
+  })));
+
+  // Round-robin play (league or group stage): every pair meets once per leg
+  if (options.legs !== undefined) {
+    const legs = parseInt(options.legs);
+    if (legs !== 1 && legs !== 2) {
+      return { error: "legs must be 1 (single round-robin) or 2 (home and away)" };
+    }
+    league.legs = legs;
+  }
+
+  let matches = [];
+  let byes = [];
+
+  if (league.format === 'knockout') {
+    // Knockout cup: seed teams into a single-elimination bracket
+    const { seeded, error } = orderSeeds(teams.map(t => t.name), options);
+    if (error) {
+      return { error };
+    }
+
+    teams.forEach(team => {
+      team.seed = seeded.indexOf(team.name) + 1;
+    });
+    ({ matches } = buildKnockoutBracket(seeded));
+  } else if (league.format === 'groups') {
+    // Group stage: draw groups, each plays its own round-robin
+    const groupCount = parseInt(options.groupCount ?? league.groupSettings.groupCount);
+    const qualifiersPerGroup = parseInt(options.qualifiersPerGroup ?? league.groupSettings.qualifiersPerGroup);
+    const drawMethod = options.drawMethod || league.groupSettings.drawMethod;
+
+    const { groups, error } = drawGroups(teams.map(t => t.name), {
+      groupCount,
+      drawMethod,
+      pots: options.pots
+    });
+    if (error) {
+      return { error };
+    }
+
+    const smallestGroup = Math.min(...groups.map(g => g.teams.length));
+    if (!(qualifiersPerGroup >= 1 && qualifiersPerGroup <= smallestGroup) || groupCount * qualifiersPerGroup < 2) {
+      return { error: "qualifiersPerGroup must be between 1 and the smallest group size, with at least 2 qualifiers in total" };
+    }
+
+    league.groupSettings = { groupCount, qualifiersPerGroup, drawMethod };
+
+    groups.forEach(group => {
+      group.teams.forEach(teamName => {
+        teams.find(t => t.name === teamName).groupName = group.name;
+      });
+
+      const rounds = buildRoundRobin(group.teams, { legs: league.legs });
+      const groupFixtures = roundsToMatches(rounds, { groupName: group.name, stage: 'group' });
+      matches.push(...groupFixtures.matches);
+      byes.push(...groupFixtures.byes);
+    });
+
+    // Number matches round by round across all groups
+    matches.sort((a, b) =>
+      a.roundNumber - b.roundNumber ||
+      a.groupName.localeCompare(b.groupName) ||
+      a.matchNumber - b.matchNumber
+    );
+    matches.forEach((match, index) => {
+      match.matchNumber = index + 1;
+    });
+  } else if (league.format === 'swiss') {
+    // Swiss: only the first round is paired up front, the rest follow the standings
+    const maxRounds = teams.length % 2 === 0 ? teams.length - 1 : teams.length;
+    const swissRounds = parseInt(options.swissRounds ?? league.swissRounds) ||
+      Math.ceil(Math.log2(teams.length));
+    if (swissRounds < 1 || swissRounds > maxRounds) {
+      return { error: `swissRounds must be between 1 and ${maxRounds}` };
+    }
+
+    const { seeded, error } = orderSeeds(teams.map(t => t.name), options);
+    if (error) {
+      return { error };
+    }
+
+    league.swissRounds = swissRounds;
+    const firstRound = pairSwissRound(seeded);
+    ({ matches, byes } = roundsToMatches([{
+      roundNumber: 1,
+      leg: 1,
+      fixtures: firstRound.fixtures,
+      byes: firstRound.bye ? [firstRound.bye] : []
+    }]));
+  } else {
+    const rounds = buildRoundRobin(teams.map(t => t.name), { legs: league.legs });
+    ({ matches, byes } = roundsToMatches(rounds));
+  }
+
+  // Spread the rounds across the season window. Group-stage tournaments keep
+  // room for the knockout rounds, Swiss leagues for the rounds still to be paired.
+  let totalRounds;
+  if (league.format === 'swiss') {
+    totalRounds = league.swissRounds;
+  } else if (league.format === 'groups') {
+    const qualifiers = league.groupSettings.groupCount * league.groupSettings.qualifiersPerGroup;
+    const groupRounds = new Set(matches.map(m => m.roundNumber)).size;
+    totalRounds = groupRounds + Math.log2(nextPowerOfTwo(qualifiers));
+  }
+
+  const schedule = scheduleMatches(league, matches, { totalRounds });
+  if (schedule.error || schedule.overflow) {
+    return { error: schedule.error || "Not enough match days between startDate and endDate for every round. Extend the season, add match days or reduce the rest days." };
+  }
+
+  linkTeamIds(participants, { teams, matches, byes });
+  return { teams, matches, byes };
+};
+
 // Generate matches from participants
 // Generate matches from participants - COMPLETE
 exports.generateMatches = async (req, res) => {
@@ -403,97 +948,27 @@ exports.generateMatches = async (req, res) => {
       });
     }
 
-    // Create teams from participants
-    const teams = participants.map(participant => ({
-      name: participant.teamName,
-      logo: participant.teamLogoUrl && participant.teamLogoUrl.trim() !== ''
-        ? participant.teamLogoUrl
-        : `https://api.dicebear.com/7.x/shapes/svg?seed=${encodeURIComponent(participant.teamName)}&backgroundColor=yellow,orange,red,blue,green&size=80`,
-      played: 0,
-      won: 0,
-      drawn: 0,
-      lost: 0,
-      goalsFor: 0,
-      goalsAgainst: 0,
-      goalDifference: 0,
-      points: 0,
-    }));
-
-    // Round-robin tournament: All teams play in each round
-    const teamNames = teams.map(t => t.name);
-    const numTeams = teamNames.length;
-    
-    // Calculate number of rounds (7 rounds or even number based on team count)
-    // For 10 teams: 7 rounds means each team plays 7 matches
-    const maxRounds = numTeams >= 10 ? 7 : (numTeams % 2 === 0 ? numTeams - 1 : numTeams);
-    
-    // Generate matches with round-robin pairing algorithm
-    const matches = [];
-    let matchNumber = 1;
-    
-    // Round-robin pairing: rotate teams to ensure unique pairings each round
-    // Use a proper round-robin tournament algorithm
-    for (let round = 1; round <= maxRounds; round++) {
-      const roundMatches = [];
-      
-      // Create a rotated array for this round using round-robin algorithm
-      const rotated = [...teamNames];
-      
-      // Rotate for round-robin: keep first team fixed, rotate others
-      if (round > 1) {
-        // Move first team to end
-        const first = rotated.shift();
-        rotated.push(first);
-        
-        // Additional rotation based on round number for better distribution
-        const additionalRotations = (round - 1) % (numTeams - 1);
-        for (let r = 0; r < additionalRotations; r++) {
-          const second = rotated.shift();
-          rotated.push(second);
-        }
-        
-        // Put first team back at the beginning
-        rotated.unshift(rotated.pop());
-      }
-      
-      // Pair teams: first with last, second with second-last, etc.
-      for (let i = 0; i < Math.floor(rotated.length / 2); i++) {
-        const home = rotated[i];
-        const away = rotated[rotated.length - 1 - i];
-        
-        roundMatches.push({ home, away });
-      }
-      
-      // Add matches to the main matches array with numbering
-      roundMatches.forEach(match => {
-        matches.push({
-          homeTeam: match.home,
-          awayTeam: match.away,
-          homeGoals: 0,
-          awayGoals: 0,
-          played: false,
-          matchNumber: matchNumber++,
-          roundNumber: round,
-          groupName: "" // No groups in round-robin
-        });
-      });
+    const fixtures = buildLeagueFixtures(league, participants, req.body);
+    if (fixtures.error) {
+      return res.status(400).json({ success: false, message: fixtures.error });
     }
+    const { teams, matches, byes } = fixtures;
 
     // Update league with teams and matches
     league.teams = teams;
     league.matches = matches;
+    league.byes = byes;
     league.status = 'active'; // League starts when matches are generated
     await league.save();
 
     // Broadcast matches generated
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'MATCHES_GENERATED',
-        leagueId: league._id,
-        matches: league.matches,
-        timestamp: new Date().toISOString()
-      });
-    }
+    broadcastToLeague(league, {
+      type: 'MATCHES_GENERATED',
+      leagueId: league._id,
+      matches: league.matches,
+      byes: league.byes,
+      timestamp: new Date().toISOString()
+    });
 
     res.json({ 
       success: true, 
@@ -505,154 +980,586 @@ exports.generateMatches = async (req, res) => {
   }
 };
 
-// FIXED: Helper function to recalculate standings from all matches
-const recalculateStandings = async (league) => {
-  console.log(`🔄 Recalculating standings for league ${league.name}`);
-  
-  // Reset all team stats
-  league.teams.forEach(team => {
-    team.played = 0;
-    team.won = 0;
-    team.drawn = 0;
-    team.lost = 0;
-    team.goalsFor = 0;
-    team.goalsAgainst = 0;
-    team.goalDifference = 0;
-    team.points = 0;
-  });
-
-  // Process all played matches
-  league.matches.forEach(match => {
-    if (match.played) {
-      const homeTeam = league.teams.find(t => t.name === match.homeTeam);
-      const awayTeam = league.teams.find(t => t.name === match.awayTeam);
-
-      if (homeTeam && awayTeam) {
-        homeTeam.played++;
-        awayTeam.played++;
-
-        homeTeam.goalsFor += match.homeGoals;
-        awayTeam.goalsFor += match.awayGoals;
-
-        homeTeam.goalsAgainst += match.awayGoals;
-        awayTeam.goalsAgainst += match.homeGoals;
-
-        homeTeam.goalDifference = homeTeam.goalsFor - homeTeam.goalsAgainst;
-        awayTeam.goalDifference = awayTeam.goalsFor - awayTeam.goalsAgainst;
-
-        if (match.homeGoals > match.awayGoals) {
-          homeTeam.won++;
-          awayTeam.lost++;
-          homeTeam.points += 3;
-        } else if (match.awayGoals > match.homeGoals) {
-          awayTeam.won++;
-          homeTeam.lost++;
-          awayTeam.points += 3;
-        } else {
-          homeTeam.drawn++;
-          awayTeam.drawn++;
-          homeTeam.points++;
-          awayTeam.points++;
-        }
-      }
+// Generate the next Swiss round from the current standings
+exports.generateNextRound = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
     }
-  });
-
-  // Check if league should be completed and winner crowned
-  const totalMatches = league.matches.length;
-  const playedMatches = league.matches.filter(m => m.played).length;
-  const completionPercentage = (playedMatches / totalMatches) * 100;
-
-  // Auto-complete league if 95% matches are played and determine winner
-  if (completionPercentage >= 95 && league.status === 'active') {
-    const sortedTeams = [...league.teams].sort((a, b) => {
-      const pointsDiff = b.points - a.points;
-      if (pointsDiff !== 0) return pointsDiff;
-      return b.goalDifference - a.goalDifference;
-    });
-
-    // Check if winner is mathematically certain
-    if (sortedTeams.length >= 2) {
-      const leader = sortedTeams[0];
-      const second = sortedTeams[1];
-      const remainingMatches = totalMatches - playedMatches;
-      const maxPossiblePointsForSecond = second.points + (remainingMatches * 3);
-      
-      // If second place cannot catch up, crown the winner
-      if (leader.points > maxPossiblePointsForSecond && !league.winner.teamName) {
-        const winnerParticipant = league.participants.find(p => p.teamName === leader.name);
-        
-        league.winner = {
-          teamName: leader.name,
-          userId: winnerParticipant?.userId,
-          teamLogo: leader.logo || winnerParticipant?.teamLogoUrl || '',
-          awardedAt: new Date()
-        };
-        
-        league.isCelebrating = true;
-        league.celebrationEnds = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-        league.status = 'completed';
-
-        // Broadcast the winner
-        if (typeof broadcastToAll === 'function') {
-          broadcastToAll({
-            type: 'LEAGUE_WINNER_CROWNED',
-            league: league,
-            winner: league.winner,
-            timestamp: new Date().toISOString()
-          });
-        }
 
-        console.log(`🏆 ${leader.name} crowned as winner of ${league.name}!`);
-      }
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can generate rounds" 
+      });
     }
-  }
-
-  console.log(`✅ Standings recalculated`);
-};
-
-// FIXED: Update match result - prevents double counting
-// FIXED: Update match result - with proper user structure handling
-exports.updateMatchResult = async (req, res) => {
-  try {
-    const { matchId } = req.params;
-    const { homeGoals, awayGoals } = req.body;
-
-    console.log(`🔄 Updating match ${matchId} with score: ${homeGoals}-${awayGoals}`);
-    console.log(`👤 Request user ID:`, req.user._id);
-    console.log(`👤 Request user:`, req.user.username);
 
-    // Validate input
-    if (homeGoals === undefined || awayGoals === undefined) {
+    if (league.format !== 'swiss') {
       return res.status(400).json({ 
         success: false, 
-        message: "homeGoals and awayGoals are required" 
+        message: "Next-round generation is only available for Swiss leagues" 
       });
     }
 
-    const homeGoalsInt = parseInt(homeGoals);
-    const awayGoalsInt = parseInt(awayGoals);
-
-    if (isNaN(homeGoalsInt) || isNaN(awayGoalsInt) || homeGoalsInt < 0 || awayGoalsInt < 0) {
+    if (league.matches.length === 0) {
       return res.status(400).json({ 
         success: false, 
-        message: "Goals must be valid non-negative numbers" 
+        message: "Generate the first round before pairing the next one" 
       });
     }
 
-    // Find the league containing this match - POPULATE ADMIN PROPERLY
-    const league = await League.findOne({ "matches._id": matchId })
-      .populate('admin', '_id username email name');
+    const currentRound = Math.max(...league.matches.map(m => m.roundNumber));
+    if (league.matches.some(m => m.roundNumber === currentRound && !m.played && !m.voided)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Round ${currentRound} still has unplayed matches` 
+      });
+    }
 
-    if (!league) {
-      console.log(`❌ League not found for match ${matchId}`);
-      return res.status(404).json({ 
+    if (currentRound >= league.swissRounds) {
+      return res.status(400).json({ 
         success: false, 
-        message: "League not found" 
+        message: `All ${league.swissRounds} rounds have already been generated` 
       });
     }
 
-    console.log(`✅ Found league: ${league.name}`);
+    // Pair from fresh standings, leaving out withdrawn teams
+    await recalculateStandings(league);
+    const withdrawn = getWithdrawnTeams(league);
+    const rankedTeams = league.teams.filter(t => !withdrawn.has(getRowKey(t))).map(t => t.name);
+    const pairing = pairSwissRound(rankedTeams, { matches: league.matches, byes: league.byes });
+    if (pairing.error) {
+      return res.status(400).json({ success: false, message: pairing.error });
+    }
+
+    const nextRound = currentRound + 1;
+    const { matches, byes } = roundsToMatches([{
+      roundNumber: nextRound,
+      leg: 1,
+      fixtures: pairing.fixtures,
+      byes: pairing.bye ? [pairing.bye] : []
+    }], { startMatchNumber: league.matches.length + 1 });
+    linkTeamIds(league.participants, { matches, byes });
+
+    // Schedule after the last round, keeping room for the rounds still to come
+    const lastDate = league.matches.reduce((max, m) => (m.date > max ? m.date : max), league.startDate);
+    const schedule = scheduleMatches(league, matches, {
+      from: addDays(lastDate, 1),
+      totalRounds: league.swissRounds - currentRound,
+      previousMatches: league.matches
+    });
+    if (schedule.error) {
+      return res.status(400).json({ success: false, message: schedule.error });
+    }
+
+    league.matches.push(...matches);
+    league.byes.push(...byes);
+    extendSeasonToLastMatch(league);
+
+    // Byes score straight away
+    await recalculateStandings(league);
+    await league.save();
+
+    console.log(`♟️ Round ${nextRound} paired for ${league.name}`);
+
+    broadcastToLeague(league, {
+      type: 'ROUND_GENERATED',
+      leagueId: league._id,
+      roundNumber: nextRound,
+      matches: league.matches.filter(m => m.roundNumber === nextRound),
+      byes: league.byes.filter(b => b.roundNumber === nextRound),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: `Round ${nextRound} generated successfully`, 
+      data: league 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Postpone a round and push the rest of the schedule back where needed
+exports.postponeRound = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can reschedule matches" 
+      });
+    }
+
+    const roundNumber = parseInt(req.params.roundNumber);
+    const defaultStage = { groups: 'group', knockout: 'knockout' }[league.format] || 'league';
+    const stage = req.body.stage || defaultStage;
+
+    const roundMatches = league.matches.filter(m =>
+      m.stage === stage && m.roundNumber === roundNumber && !m.played && !m.voided && !m.isBye
+    );
+    if (roundMatches.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "No unplayed matches found in this round" 
+      });
+    }
+
+    const settings = getScheduleSettings(league);
+    const originalDate = toDay(roundMatches.reduce((min, m) => (m.date < min ? m.date : min), roundMatches[0].date));
+
+    let newDate;
+    if (req.body.date) {
+      newDate = toDay(req.body.date);
+      if (isNaN(newDate.getTime()) || newDate <= originalDate) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "date must be a valid day after the round's current date" 
+        });
+      }
+    } else {
+      newDate = nextMatchDay(originalDate, settings);
+    }
+
+    // Unplayed rounds from the original date onwards, in calendar order
+    const movingIds = new Set(roundMatches.map(m => m._id.toString()));
+    const laterRounds = new Map();
+    league.matches
+      .filter(m => !m.played && !m.voided && !m.isBye && !movingIds.has(m._id.toString()) && toDay(m.date) >= originalDate)
+      .sort((a, b) => a.date - b.date)
+      .forEach(m => {
+        const key = getRoundKey(m);
+        if (!laterRounds.has(key)) laterRounds.set(key, []);
+        laterRounds.get(key).push(m);
+      });
+
+    // Rest is counted from every game that is not being moved
+    const lastPlayed = new Map();
+    league.matches
+      .filter(m => !movingIds.has(m._id.toString()) && !laterRounds.has(getRoundKey(m)))
+      .forEach(m => {
+        [m.homeTeam, m.awayTeam].filter(Boolean).forEach(team => {
+          if (!lastPlayed.has(team) || m.date > lastPlayed.get(team)) lastPlayed.set(team, m.date);
+        });
+      });
+
+    const teamsOf = (matches) => [...new Set(matches.flatMap(m => [m.homeTeam, m.awayTeam]).filter(Boolean))];
+    const moveRound = (matches, day) => {
+      matches.forEach(m => {
+        m.date = day;
+      });
+      teamsOf(matches).forEach(team => lastPlayed.set(team, day));
+    };
+
+    moveRound(roundMatches, newDate);
+
+    let previous = newDate;
+    let shiftedRounds = 0;
+    for (const matches of laterRounds.values()) {
+      const teams = teamsOf(matches);
+      let day = toDay(matches[0].date);
+
+      if (day <= previous || !hasEnoughRest(day, teams, lastPlayed, settings.minRestDays)) {
+        day = nextMatchDay(previous, settings);
+        while (day && !hasEnoughRest(day, teams, lastPlayed, settings.minRestDays)) {
+          day = nextMatchDay(day, settings);
+        }
+        if (!day) {
+          return res.status(400).json({ 
+            success: false, 
+            message: "No available match day could be found for the remaining schedule" 
+          });
+        }
+        shiftedRounds++;
+      }
+
+      moveRound(matches, day);
+      previous = day;
+    }
+
+    extendSeasonToLastMatch(league);
+    await league.save();
+
+    console.log(`📅 Round ${roundNumber} of ${league.name} postponed to ${newDate.toISOString().slice(0, 10)}, ${shiftedRounds} later rounds moved`);
+
+    broadcastToLeague(league, {
+      type: 'SCHEDULE_UPDATED',
+      leagueId: league._id,
+      roundNumber,
+      newDate,
+      shiftedRounds,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: `Round ${roundNumber} postponed to ${newDate.toISOString().slice(0, 10)}`, 
+      data: league 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+const getSeasonLabel = (league) =>
+  `${new Date(league.startDate).getFullYear()}-${new Date(league.endDate).getFullYear()}`;
+
+// Drop the current season's previousWinners entry of `winner`. Entries of
+// seasons that were rolled over are linked to their archive and stay.
+const removeSeasonWinner = (league, winner) => {
+  const entry = league.previousWinners.find(w =>
+    !w.seasonId &&
+    w.season === getSeasonLabel(league) &&
+    getTeamKey(w.teamId, w.teamName) === getTeamKey(winner.teamId, winner.teamName)
+  );
+  if (entry) league.previousWinners.pull(entry._id);
+};
+
+// Record league.winner in previousWinners for the current season, in place of
+// the entry of the winner it replaces
+const recordSeasonWinner = (league, replaced) => {
+  if (replaced?.teamName) removeSeasonWinner(league, replaced);
+  const { teamName, teamId, userId, teamLogo, awardedAt } = league.winner;
+  league.previousWinners.push({
+    teamName,
+    teamId,
+    userId,
+    teamLogo,
+    awardedAt,
+    season: getSeasonLabel(league)
+  });
+};
+
+// Crown a team (its table row) as league winner and start the 3-day celebration
+const crownLeagueWinner = (league, team) => {
+  const teamName = team.name;
+  const winnerParticipant = findTeamOwner(league, team.teamId);
+
+  league.winner = {
+    teamName,
+    teamId: team.teamId,
+    userId: winnerParticipant?.userId,
+    teamLogo: team.logo || winnerParticipant?.teamLogoUrl || '',
+    awardedAt: new Date(),
+    automatic: true
+  };
+  recordSeasonWinner(league);
+
+  league.isCelebrating = true;
+  league.celebrationEnds = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  league.status = 'completed';
+
+  // Broadcast the winner
+  broadcastToLeague(league, {
+    type: 'LEAGUE_WINNER_CROWNED',
+    league: formatLeague(league, null),
+    winner: league.winner,
+    timestamp: new Date().toISOString()
+  });
+
+  console.log(`🏆 ${teamName} crowned as winner of ${league.name}!`);
+};
+
+// Take back a winner crowned from the table, when a corrected or reverted
+// result means the title is open again
+const clearLeagueWinner = (league) => {
+  const { teamName } = league.winner;
+
+  removeSeasonWinner(league, league.winner);
+  league.winner = { teamName: '', teamLogo: '' };
+  league.isCelebrating = false;
+  league.celebrationEnds = undefined;
+  league.status = 'active';
+
+  broadcastToLeague(league, {
+    type: 'LEAGUE_WINNER_CLEARED',
+    leagueId: league._id,
+    teamName,
+    timestamp: new Date().toISOString()
+  });
+
+  console.log(`↩️ ${teamName} is no longer the winner of ${league.name}`);
+};
+
+// Crown the champion once the results decide the title, and clear a crown
+// the results no longer support. Winners set by the admin are left alone.
+const settleLeagueWinner = (league) => {
+  if (league.status === 'cancelled') return;
+
+  const champion = getTableChampion(league);
+  const { winner } = league;
+  const championKey = champion ? getRowKey(champion) : null;
+  if (winner.teamName && winner.automatic && getTeamKey(winner.teamId, winner.teamName) !== championKey) {
+    clearLeagueWinner(league);
+  }
+
+  if (champion && !league.winner.teamName) {
+    crownLeagueWinner(league, champion);
+  }
+};
+
+// Seed the top teams of every group into the knockout bracket: all group
+// winners first, then all runners-up, and so on. The bracket is rebuilt if a
+// group result changes the qualifiers, until the first knockout game is played.
+// Returns { error } when the knockout stage cannot be scheduled.
+const advanceGroupQualifiers = (league) => {
+  const groupMatches = league.matches.filter(m => m.stage === 'group');
+  if (groupMatches.length === 0 || groupMatches.some(m => !m.played && !m.voided)) return;
+
+  const knockoutMatches = getKnockoutMatches(league.matches);
+  if (knockoutMatches.some(m => m.played && !m.isBye)) return;
+
+  const { qualifiersPerGroup } = league.groupSettings;
+  const tables = rankLeague(league);
+  const qualifiers = [];
+  for (let rank = 0; rank < qualifiersPerGroup; rank++) {
+    tables.forEach(table => {
+      if (table.teams[rank]) qualifiers.push(table.teams[rank]);
+    });
+  }
+  const seededKeys = qualifiers.map(getRowKey);
+  const seeded = qualifiers.map(t => t.name);
+
+  const currentSeeds = league.teams
+    .filter(t => t.seed > 0)
+    .sort((a, b) => a.seed - b.seed)
+    .map(getRowKey);
+  if (knockoutMatches.length > 0 && currentSeeds.join('|') === seededKeys.join('|')) return;
+
+  const startMatchNumber = Math.max(...groupMatches.map(m => m.matchNumber)) + 1;
+  const { matches } = buildKnockoutBracket(seeded, { startMatchNumber });
+  linkTeamIds(league.participants, { matches });
+
+  // Rounds past endDate extend the season; no match day at all leaves the
+  // group stage as it is and is reported to the caller
+  const lastGroupDate = groupMatches.reduce((max, m) => (m.date > max ? m.date : max), league.startDate);
+  const schedule = scheduleMatches(league, matches, { from: addDays(lastGroupDate, 1), previousMatches: groupMatches });
+  if (schedule.error) {
+    console.error(`❌ Knockout stage of ${league.name} could not be scheduled: ${schedule.error}`);
+    return { error: `The knockout stage could not be scheduled: ${schedule.error}` };
+  }
+
+  league.matches = [...groupMatches, ...matches];
+  extendSeasonToLastMatch(league);
+  league.teams.forEach(team => {
+    team.seed = seededKeys.indexOf(getRowKey(team)) + 1;
+  });
+
+  console.log(`🏟️ Knockout stage generated for ${league.name} with ${seeded.length} qualifiers`);
+
+  broadcastToLeague(league, {
+    type: 'KNOCKOUT_STAGE_GENERATED',
+    leagueId: league._id,
+    qualifiers: seeded,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// FIXED: Helper function to recalculate standings from all matches
+// Resolves to { warning } when a finished group stage could not be turned
+// into a knockout stage.
+const recalculateStandings = async (league) => {
+  console.log(`🔄 Recalculating standings for league ${league.name}`);
+  
+  fillTableRows(league, league.teams, getTableMatches(league), league.byes);
+
+  // Store table positions and keep the teams in table order
+  const tables = rankLeague(league);
+  tables.forEach(table => {
+    table.teams.forEach((team, index) => {
+      team.position = index + 1;
+    });
+  });
+  league.teams = tables.flatMap(table => table.teams);
+
+  // Group stage feeds the knockout bracket once every group match is played
+  const advanced = league.format === 'groups' ? advanceGroupQualifiers(league) : null;
+
+  settleLeagueWinner(league);
+
+  console.log(`✅ Standings recalculated`);
+  return { warning: advanced?.error };
+};
+
+// Check a knockout result before it is applied. A changed winner cannot be
+// pushed forward once the next round match has already been played.
+const validateKnockoutResult = (league, match, winner) => {
+  if (match.isBye) {
+    return "Bye matches do not have a result";
+  }
+  if (!match.homeTeam || !match.awayTeam) {
+    return "Both teams must be decided before recording a knockout result";
+  }
+  if (winner === 'draw') {
+    return "Knockout matches cannot end in a draw; add extra time or penalties";
+  }
+
+  const next = findNextKnockoutMatch(league.matches, match);
+  const newWinner = winner === 'home' ? match.homeTeam : match.awayTeam;
+  if (next && next.match.played && next.match[next.slot] !== newWinner) {
+    return "Cannot change the winner after the next round has been played";
+  }
+
+  return null;
+};
+
+// Check a parsed result against the league rules for this match
+const validateMatchResult = (league, match, result) => {
+  if (match.voided) {
+    return "This match was voided when a team withdrew";
+  }
+
+  const allowDraws = getPointsSystem(league).allowDraws;
+  const winner = getResultWinner(result);
+
+  // Extra time and shootouts only settle matches that need a winner
+  if ((result.extraTime || result.penalties) && match.stage !== 'knockout' && allowDraws) {
+    return "Extra time and penalties are only allowed in knockout matches or leagues without draws";
+  }
+
+  // No-draw leagues need a winner in every match
+  if (!allowDraws && winner === 'draw') {
+    return "This league does not allow draws";
+  }
+
+  // Knockout matches need two known teams and a winner
+  if (match.stage === 'knockout') {
+    return validateKnockoutResult(league, match, winner);
+  }
+
+  return null;
+};
+
+// When a match counts for ratings: its result time, or its date before that
+const getRatingTime = (match) => new Date(match.playedAt || match.date);
+
+// Ratings are replayed from the earliest of the given times, so edited
+// results are rated in order. The update is queued and runs after the
+// response; a failure there is logged and never fails the result that
+// triggered it.
+const refreshRatings = (...times) => {
+  Rating.scheduleRebuild(new Date(Math.min(...times)));
+};
+
+// Apply a confirmed result (or clear it when `result` is null), move the
+// knockout winner on, recalculate, record the change and broadcast
+const finalizeMatchResult = async (league, match, result, { actor, action, reason = '', revertOf = null } = {}) => {
+  const previous = getResultSnapshot(match);
+  const previousRatingTime = getRatingTime(match);
+
+  if (result) {
+    applyMatchResult(match, result);
+    match.resultStatus = 'confirmed';
+  } else {
+    clearMatchResult(match);
+    match.resultStatus = 'pending';
+  }
+
+  // Scorers recorded for an earlier score no longer apply; cards are kept
+  if (!goalsMatchScore(match.events, match)) {
+    match.events = match.events.filter(e => e.type !== 'goal');
+    console.log(`🧹 Cleared goal events of match ${match.matchNumber} after the score changed`);
+  }
+
+  console.log(`📊 New score: ${match.homeGoals}-${match.awayGoals}, Played: ${match.played}`);
+
+  // Move the knockout winner into the next round
+  if (match.stage === 'knockout') {
+    const nextMatch = advanceKnockoutWinner(league.matches, match);
+    if (nextMatch) {
+      console.log(`➡️ ${getKnockoutWinner(match)} advances to match ${nextMatch.matchNumber}`);
+    }
+  }
+
+  // Always recalculate standings to ensure accuracy
+  const { warning } = await recalculateStandings(league) || {};
+
+  await league.save();
+  console.log(`✅ Match result updated successfully`);
+
+  const audited = await recordAudit({
+    leagueId: league._id,
+    matchId: match._id,
+    action: action || (previous.played ? 'result_corrected' : 'result_entered'),
+    actor,
+    previous,
+    next: getResultSnapshot(match),
+    reason,
+    revertOf
+  });
+
+  refreshRatings(previousRatingTime, getRatingTime(match));
+
+  // Broadcast match update to all connected clients
+  broadcastToLeague(league, {
+    type: 'MATCH_UPDATED',
+    match: {
+      _id: match._id,
+      homeTeam: match.homeTeam,
+      awayTeam: match.awayTeam,
+      homeGoals: match.homeGoals,
+      awayGoals: match.awayGoals,
+      forfeitedBy: match.forfeitedBy,
+      extraTime: match.extraTime,
+      penalties: match.penalties,
+      winner: match.winner,
+      resultStatus: match.resultStatus,
+      played: match.played,
+      matchNumber: match.matchNumber,
+      roundNumber: match.roundNumber
+    },
+    leagueId: league._id,
+    timestamp: new Date().toISOString()
+  });
+
+  return { warning: joinWarnings(warning, !audited && AUDIT_FAILED_WARNING) };
+};
+
+// FIXED: Update match result - prevents double counting
+// FIXED: Update match result - with proper user structure handling
+exports.updateMatchResult = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { homeGoals, awayGoals } = req.body;
+
+    console.log(`🔄 Updating match ${matchId} with score: ${homeGoals}-${awayGoals}`);
+    console.log(`👤 Request user ID:`, req.user._id);
+    console.log(`👤 Request user:`, req.user.username);
+
+    // Validate input; a forfeit without a score is recorded as 3-0 to the other side
+    const { result, error } = parseMatchResult(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    // Find the league containing this match - POPULATE ADMIN PROPERLY
+    const league = await League.findOne({ "matches._id": matchId })
+      .populate('admin', '_id username email name');
+
+    if (!league) {
+      console.log(`❌ League not found for match ${matchId}`);
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    console.log(`✅ Found league: ${league.name}`);
     console.log(`✅ League admin ID:`, league.admin._id);
     console.log(`✅ League admin username:`, league.admin.username);
 
@@ -679,65 +1586,2039 @@ exports.updateMatchResult = async (req, res) => {
       });
     }
 
-    console.log(`✅ Found match: ${match.homeTeam} vs ${match.awayTeam}`);
-    console.log(`📊 Previous score: ${match.homeGoals}-${match.awayGoals}, Played: ${match.played}`);
-
-    // Update match result
-    match.homeGoals = homeGoalsInt;
-    match.awayGoals = awayGoalsInt;
-    match.played = true;
-
-    console.log(`📊 New score: ${match.homeGoals}-${match.awayGoals}, Played: ${match.played}`);
+    console.log(`✅ Found match: ${match.homeTeam} vs ${match.awayTeam}`);
+    console.log(`📊 Previous score: ${match.homeGoals}-${match.awayGoals}, Played: ${match.played}`);
+
+    const resultError = validateMatchResult(league, match, result);
+    if (resultError) {
+      return res.status(400).json({ success: false, message: resultError });
+    }
+
+    const { warning } = await finalizeMatchResult(league, match, result, {
+      actor: req.user._id,
+      reason: getReason(req.body)
+    });
+
+    res.json({ 
+      success: true, 
+      message: "Match result updated and standings recalculated", 
+      data: league,
+      ...(warning && { warning })
+    });
+
+  } catch (err) {
+    console.error('❌ Error in updateMatchResult:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: err.message || "Internal server error while updating match result" 
+    });
+  }
+};
+
+// Which side of the match the user plays for, or null
+const getParticipantSide = (league, match, user) => {
+  const participant = league.participants.find(p =>
+    p.userId.toString() === user._id.toString() && p.status === 'approved'
+  );
+  if (!participant) return null;
+  const key = getTeamKey(participant.teamId, participant.teamName);
+  if (key === getSideKey(match, 'home')) return 'home';
+  if (key === getSideKey(match, 'away')) return 'away';
+  return null;
+};
+
+// Latest submission from each side
+const getLatestSubmissions = (match) => {
+  const latest = {};
+  match.submissions.forEach(submission => {
+    latest[submission.side] = submission;
+  });
+  return latest;
+};
+
+// Submit a match result as one of the two teams. Matching submissions confirm
+// the result; differing ones leave the match disputed for the admin.
+exports.submitMatchResult = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const { result, error } = parseMatchResult(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (result.forfeitedBy) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Only the league admin can record a forfeit" 
+      });
+    }
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    const match = league.matches.id(matchId);
+    if (!match) {
+      return res.status(404).json({ success: false, message: "Match not found" });
+    }
+
+    const side = getParticipantSide(league, match, req.user);
+    if (!side) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only the two teams of this match can submit its result" 
+      });
+    }
+
+    if (match.played || match.resultStatus === 'confirmed') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "This match result is already confirmed" 
+      });
+    }
+    if (match.resultStatus === 'disputed') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "This match result is disputed and waiting for the league admin" 
+      });
+    }
+
+    const resultError = validateMatchResult(league, match, result);
+    if (resultError) {
+      return res.status(400).json({ success: false, message: resultError });
+    }
+
+    match.submissions.push({
+      userId: req.user._id,
+      side,
+      homeGoals: result.homeGoals,
+      awayGoals: result.awayGoals,
+      extraTime: toScorePair(result.extraTime),
+      penalties: toScorePair(result.penalties),
+      submittedAt: new Date()
+    });
+
+    console.log(`📝 ${req.user.username} submitted ${result.homeGoals}-${result.awayGoals} for match ${match.matchNumber}`);
+
+    const latest = getLatestSubmissions(match);
+    const opponent = latest[side === 'home' ? 'away' : 'home'];
+
+    if (opponent && isSameResult(getStoredResult(opponent), result)) {
+      console.log(`✅ Both teams agree, confirming match ${match.matchNumber}`);
+      const { warning } = await finalizeMatchResult(league, match, result, {
+        actor: req.user._id,
+        action: 'result_confirmed',
+        reason: "Both teams submitted the same score"
+      });
+      return res.json({ 
+        success: true, 
+        message: "Both teams agree, match result confirmed and standings recalculated", 
+        data: formatLeague(league, req.user),
+        ...(warning && { warning })
+      });
+    }
+
+    match.resultStatus = opponent ? 'disputed' : 'submitted';
+    await league.save();
+
+    if (opponent) {
+      console.log(`⚠️ Submissions differ, match ${match.matchNumber} is disputed`);
+    }
+
+    broadcastToLeague(league, {
+      type: 'MATCH_RESULT_SUBMITTED',
+      leagueId: league._id,
+      matchId: match._id,
+      side,
+      resultStatus: match.resultStatus,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: opponent
+        ? "Submissions differ, the league admin will resolve this match"
+        : "Result submitted, waiting for the other team to confirm", 
+      data: match 
+    });
+
+  } catch (err) {
+    console.error('❌ Error in submitMatchResult:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Resolve a disputed match by accepting one submission (submissionId) or
+// entering the correct score
+exports.resolveMatchDispute = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { submissionId } = req.body;
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only league admin can resolve disputed results" 
+      });
+    }
+
+    const match = league.matches.id(matchId);
+    if (!match) {
+      return res.status(404).json({ success: false, message: "Match not found" });
+    }
+
+    if (match.resultStatus !== 'disputed') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "This match is not disputed" 
+      });
+    }
+
+    let result;
+    if (submissionId) {
+      const submission = match.submissions.id(submissionId);
+      if (!submission) {
+        return res.status(404).json({ success: false, message: "Submission not found" });
+      }
+      result = getStoredResult(submission);
+    } else {
+      const parsed = parseMatchResult(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      result = parsed.result;
+    }
+
+    const resultError = validateMatchResult(league, match, result);
+    if (resultError) {
+      return res.status(400).json({ success: false, message: resultError });
+    }
+
+    console.log(`⚖️ Resolving dispute for match ${match.matchNumber}: ${result.homeGoals}-${result.awayGoals}`);
+    const { warning } = await finalizeMatchResult(league, match, result, {
+      actor: req.user._id,
+      action: 'dispute_resolved',
+      reason: getReason(req.body)
+    });
+
+    res.json({ 
+      success: true, 
+      message: "Dispute resolved and standings recalculated", 
+      data: league,
+      ...(warning && { warning })
+    });
+
+  } catch (err) {
+    console.error('❌ Error in resolveMatchDispute:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Upload an image (raw request body) as evidence for a match result.
+// Either team of the match or the league admin can upload.
+exports.uploadMatchEvidence = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const caption = typeof req.query.caption === 'string' ? req.query.caption.trim().slice(0, 200) : '';
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    const match = league.matches.id(matchId);
+    if (!match) {
+      return res.status(404).json({ success: false, message: "Match not found" });
+    }
+
+    const isAdmin = checkAdmin(league, req.user);
+    const side = getParticipantSide(league, match, req.user);
+    if (!isAdmin && !side) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only the two teams of this match or the league admin can upload evidence" 
+      });
+    }
+
+    if (match.evidence.length >= MAX_EVIDENCE_PER_MATCH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `A match can have at most ${MAX_EVIDENCE_PER_MATCH} evidence images` 
+      });
+    }
+
+    const contentType = req.headers['content-type'] || '';
+    const { extension, error } = validateEvidenceImage(req.body, contentType);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const storage = getStorage();
+    const stored = await storage.save(req.body, { extension, contentType });
+
+    // Private backends are served through getMatchEvidenceFile
+    const evidenceId = new mongoose.Types.ObjectId();
+    match.evidence.push({
+      _id: evidenceId,
+      uploadedBy: req.user._id,
+      side: side || '',
+      url: typeof storage.read === 'function'
+        ? `/api/leagues/match/${match._id}/evidence/${evidenceId}/file`
+        : stored.url,
+      storageKey: stored.key,
+      contentType: contentType.split(';')[0].trim().toLowerCase(),
+      size: req.body.length,
+      caption,
+      uploadedAt: new Date()
+    });
+
+    try {
+      await league.save();
+    } catch (err) {
+      // Do not leave orphaned files behind
+      await storage.remove(stored.key).catch(() => {});
+      throw err;
+    }
+
+    const evidence = match.evidence[match.evidence.length - 1];
+    console.log(`📎 Evidence uploaded for match ${match.matchNumber} by ${req.user.username}`);
+
+    broadcastToLeague(league, {
+      type: 'MATCH_EVIDENCE_ADDED',
+      leagueId: league._id,
+      matchId: match._id,
+      evidence,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({ 
+      success: true, 
+      message: "Evidence uploaded", 
+      data: evidence 
+    });
+
+  } catch (err) {
+    console.error('❌ Error in uploadMatchEvidence:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// List the evidence attached to a match
+exports.getMatchEvidence = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (hideLeague(league, req, res)) return;
+
+    const match = league.matches.id(matchId);
+    if (!match) {
+      return res.status(404).json({ success: false, message: "Match not found" });
+    }
+
+    res.json({ 
+      success: true, 
+      data: {
+        matchId: match._id,
+        resultStatus: match.resultStatus,
+        evidence: match.evidence
+      }
+    });
+
+  } catch (err) {
+    console.error('❌ Error in getMatchEvidence:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Send an evidence image, once the user is known to be allowed to see the league
+exports.getMatchEvidenceFile = async (req, res) => {
+  try {
+    const { matchId, evidenceId } = req.params;
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (hideLeague(league, req, res)) return;
+
+    const evidence = league.matches.id(matchId)?.evidence.id(evidenceId);
+    if (!evidence) {
+      return res.status(404).json({ success: false, message: "Evidence not found" });
+    }
+
+    const storage = getStorage();
+    if (typeof storage.read !== 'function') {
+      return res.redirect(evidence.url);
+    }
+
+    let file;
+    try {
+      file = await storage.read(evidence.storageKey);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return res.status(404).json({ success: false, message: "Evidence not found" });
+    }
+
+    res.type(evidence.contentType).send(file);
+
+  } catch (err) {
+    console.error('❌ Error in getMatchEvidenceFile:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Replace the goals and cards recorded for a played match
+exports.updateMatchEvents = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only league admin can update match events" 
+      });
+    }
+
+    const match = league.matches.id(matchId);
+    if (!match) {
+      return res.status(404).json({ success: false, message: "Match not found" });
+    }
+
+    const { events, error } = validateMatchEvents(req.body.events, match);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    match.events = events;
+
+    // Cards feed the fair play tiebreaker
+    await recalculateStandings(league);
+    await league.save();
+
+    console.log(`📝 ${events.length} events recorded for match ${match.matchNumber}`);
+
+    broadcastToLeague(league, {
+      type: 'MATCH_EVENTS_UPDATED',
+      leagueId: league._id,
+      matchId: match._id,
+      events: match.events,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: "Match events updated", 
+      data: match 
+    });
+
+  } catch (err) {
+    console.error('❌ Error in updateMatchEvents:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Top scorers, top assisters and discipline table
+exports.getLeaders = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    if (hideLeague(league, req, res)) return;
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 10;
+    if (Number.isNaN(limit) || limit < 1) {
+      return res.status(400).json({ success: false, message: "limit must be a positive number" });
+    }
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        leagueName: league.name,
+        ...buildLeaders(league.matches, { limit })
+      }
+    });
+
+  } catch (err) {
+    console.error('❌ Error in getLeaders:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get the audit trail of a match, oldest first
+exports.getMatchHistory = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (hideLeague(league, req, res)) return;
+
+    const entries = await AuditLog.find({ matchId })
+      .sort({ createdAt: 1 })
+      .populate('actor', 'username')
+      .lean();
+
+    res.json({ 
+      success: true, 
+      data: {
+        matchId,
+        leagueId: league._id,
+        entries
+      }
+    });
+
+  } catch (err) {
+    console.error('❌ Error in getMatchHistory:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Undo a change from the match history by restoring the value it replaced
+exports.revertMatchResult = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { entryId } = req.body;
+
+    if (!entryId || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ success: false, message: "A valid entryId is required" });
+    }
+
+    const league = await League.findOne({ "matches._id": matchId });
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only league admin can revert match results" 
+      });
+    }
+
+    const match = league.matches.id(matchId);
+    if (!match) {
+      return res.status(404).json({ success: false, message: "Match not found" });
+    }
+
+    if (match.voided) {
+      return res.status(400).json({ success: false, message: "This match was voided when a team withdrew" });
+    }
+
+    const entry = await AuditLog.findOne({ _id: entryId, matchId }).lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, message: "History entry not found for this match" });
+    }
+
+    const target = entry.previous;
+    let result = null;
+
+    if (target?.played) {
+      result = {
+        homeGoals: target.homeGoals,
+        awayGoals: target.awayGoals,
+        forfeitedBy: target.forfeitedBy || '',
+        extraTime: target.extraTime || null,
+        penalties: target.penalties || null
+      };
+      const resultError = validateMatchResult(league, match, result);
+      if (resultError) {
+        return res.status(400).json({ success: false, message: resultError });
+      }
+    } else if (match.stage === 'knockout') {
+      // Clearing a knockout result takes the winner back out of the next round
+      const next = findNextKnockoutMatch(league.matches, match);
+      if (next && next.match.played) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Cannot change the winner after the next round has been played" 
+        });
+      }
+    }
+
+    console.log(`⏪ Reverting match ${match.matchNumber} to ${result ? `${result.homeGoals}-${result.awayGoals}` : 'unplayed'}`);
+
+    const { warning } = await finalizeMatchResult(league, match, result, {
+      actor: req.user._id,
+      action: 'result_reverted',
+      reason: getReason(req.body),
+      revertOf: entry._id
+    });
+
+    res.json({ 
+      success: true, 
+      message: "Match result reverted and standings recalculated", 
+      data: league,
+      ...(warning && { warning })
+    });
+
+  } catch (err) {
+    console.error('❌ Error in revertMatchResult:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get standings, split by group for group-stage leagues
+exports.getStandings = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id)
+      .select(`name format groupSettings pointsSystem tiebreakers teams matches byes ${VISIBILITY_FIELDS}`);
+
+    if (hideLeague(league, req, res)) return;
+
+    const qualifiersPerGroup = league.format === 'groups'
+      ? league.groupSettings.qualifiersPerGroup
+      : null;
+
+    // ?round=N rebuilds the table as it stood after round N
+    let round = null;
+    let tables;
+    if (req.query.round !== undefined) {
+      round = parseInt(req.query.round);
+      const roundCount = getTableRoundCount(league);
+      if (league.format === 'knockout') {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Knockout leagues do not have a table" 
+        });
+      }
+      if (Number.isNaN(round) || round < 1 || round > roundCount) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `round must be between 1 and ${roundCount}` 
+        });
+      }
+      tables = computeTablesAsOf(league, round);
+    } else {
+      tables = rankLeague(league).map(table => ({
+        groupName: table.groupName,
+        teams: table.teams.map((team, index) => ({
+          ...team.toObject(),
+          position: index + 1
+        }))
+      }));
+    }
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        leagueName: league.name,
+        format: league.format,
+        round,
+        qualifiersPerGroup,
+        tiebreakers: ['points', ...getTiebreakers(league)],
+        tables
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get every team's table position after each played round
+exports.getStandingsHistory = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id)
+      .select(`name format groupSettings pointsSystem tiebreakers teams matches byes ${VISIBILITY_FIELDS}`);
+
+    if (hideLeague(league, req, res)) return;
+
+    if (league.format === 'knockout') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Knockout leagues do not have a table" 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        leagueName: league.name,
+        format: league.format,
+        ...buildPositionHistory(league)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get clinch and elimination scenarios from the remaining fixtures
+exports.getScenarios = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id)
+      .select(`name format groupSettings pointsSystem tiebreakers teams matches ${VISIBILITY_FIELDS}`);
+
+    if (hideLeague(league, req, res)) return;
+
+    if (league.format === 'knockout' || league.format === 'swiss') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Scenarios are only available for round-robin leagues and group stages" 
+      });
+    }
+
+    // Group stages default to the qualifying places
+    const defaultTop = league.format === 'groups' ? league.groupSettings.qualifiersPerGroup : 4;
+    const top = parseInt(req.query.top) || defaultTop;
+    if (top < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "top must be a positive number" 
+      });
+    }
+
+    const rules = getPointsSystem(league);
+    const remainingFixtures = getRemainingFixtures(getTableMatches(league));
+
+    const tables = rankLeague(league).map(table => {
+      const teamKeys = new Set(table.teams.map(getRowKey));
+      const fixtures = remainingFixtures.filter(f => teamKeys.has(getSideKey(f, 'home')) && teamKeys.has(getSideKey(f, 'away')));
+      const rankedTeams = table.teams.map((team, index) => ({
+        name: team.name,
+        teamId: team.teamId,
+        points: team.points,
+        played: team.played,
+        position: index + 1
+      }));
+
+      return {
+        groupName: table.groupName,
+        remainingMatches: fixtures.length,
+        teams: calculateScenarios(rankedTeams, fixtures, rules, top)
+      };
+    });
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        leagueName: league.name,
+        top,
+        tables
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get knockout bracket as a tree of rounds
+exports.getBracket = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id)
+      .select(`name format teams matches winner status ${VISIBILITY_FIELDS}`);
+
+    if (hideLeague(league, req, res)) return;
+
+    const knockoutMatches = getKnockoutMatches(league.matches);
+    if (knockoutMatches.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "This league has no knockout bracket" 
+      });
+    }
+
+    const totalRounds = getKnockoutRoundCount(league.matches);
+    const seedOf = (match, side) =>
+      (match[`${side}Team`] && findTeamRow(league.teams, match[`${side}TeamId`], match[`${side}Team`])?.seed) || null;
+
+    const rounds = [];
+    for (let round = 1; round <= totalRounds; round++) {
+      const roundMatches = knockoutMatches
+        .filter(m => m.roundNumber === round)
+        .sort((a, b) => a.bracketPosition - b.bracketPosition)
+        .map(m => {
+          const next = findNextKnockoutMatch(league.matches, m);
+          return {
+            _id: m._id,
+            matchNumber: m.matchNumber,
+            bracketPosition: m.bracketPosition,
+            homeTeam: m.homeTeam || null,
+            awayTeam: m.awayTeam || null,
+            homeSeed: seedOf(m, 'home'),
+            awaySeed: seedOf(m, 'away'),
+            homeGoals: m.homeGoals,
+            awayGoals: m.awayGoals,
+            extraTime: m.extraTime,
+            penalties: m.penalties,
+            played: m.played,
+            isBye: m.isBye,
+            winner: getKnockoutWinner(m),
+            nextMatchId: next ? next.match._id : null,
+            nextSlot: next ? (next.slot === 'homeTeam' ? 'home' : 'away') : null
+          };
+        });
+
+      rounds.push({
+        roundNumber: round,
+        name: getRoundName(round, totalRounds),
+        matches: roundMatches
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        leagueName: league.name,
+        size: Math.pow(2, totalRounds),
+        totalRounds,
+        champion: league.winner?.teamName || null,
+        rounds
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get league by join code
+exports.getLeagueByCode = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const league = await League.findOne({ joinCode: code })
+      .populate('admin', 'name username')
+      .populate('participants.userId', 'name username')
+      .populate('winner.userId', 'name username');
+    
+    if (hideLeague(league, req, res)) return;
+
+    res.json({ success: true, data: formatLeague(league, req.user) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Delete League - FIXED
+// Delete League - COMPLETE
+exports.deleteLeague = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    // Check if user is admin - FIXED
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can delete league" 
+      });
+    }
+
+    await League.findByIdAndDelete(req.params.id);
+
+    // Broadcast league deletion
+    broadcastToLeague(league, {
+      type: 'LEAGUE_DELETED',
+      leagueId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ success: true, message: "League deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// BULK JOIN LEAGUE (Admin adds multiple teams manually) - FIXED
+// BULK JOIN LEAGUE (Admin adds multiple teams manually) - COMPLETE
+exports.bulkJoinLeague = async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const { participants } = req.body;
+
+    const league = await League.findById(leagueId);
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    // Only admin can bulk add - FIXED
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ success: false, message: "Only admin can bulk add participants" });
+    }
+
+    if (!Array.isArray(participants) || participants.length === 0) {
+      return res.status(400).json({ success: false, message: "Participants array required" });
+    }
+
+    const remainingSpots = league.maxParticipants - countTakenSpots(league);
+    if (participants.length > remainingSpots) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Only ${remainingSpots} spots left in league`
+      });
+    }
+
+    // Filter and map new participants
+    const newParticipants = participants.map(p => ({
+      userId: p.userId,
+      teamName: p.teamName,
+      teamLogoUrl: p.teamLogoUrl || '',
+      status: p.status || "approved",
+      joinedAt: new Date()
+    }));
+
+    league.participants.push(...newParticipants);
+    await league.save();
+    await Promise.all(newParticipants.map(p => addUserLeague(p.userId, league, p.teamName)));
+
+    // Broadcast bulk participant addition
+    broadcastToLeague(league, {
+      type: 'PARTICIPANTS_ADDED',
+      leagueId: leagueId,
+      participants: newParticipants,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: `${newParticipants.length} participants added successfully`,
+      data: league
+    });
+  } catch (err) {
+    console.error("Bulk join error:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get celebrating winners
+exports.getCelebratingWinners = async (req, res) => {
+  try {
+    const celebratingLeagues = await League.find({
+      isCelebrating: true,
+      celebrationEnds: { $gt: new Date() },
+      'winner.teamName': { $exists: true, $ne: '' },
+      visibility: { $nin: ['unlisted', 'private'] }
+    })
+    .populate('winner.userId', 'name username')
+    .populate('admin', 'name username')
+    .select('name winner celebrationEnds leagueLogoUrl description');
+    
+    res.json({ 
+      success: true, 
+      data: celebratingLeagues 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// FIXED: Set league winner manually (admin only)
+// Set league winner manually - COMPLETE
+exports.setLeagueWinner = async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    const { teamId, teamLogo } = req.body;
+
+    console.log(`🏆 Setting winner for league ${leagueId}, team: ${teamId || req.body.teamName}`);
+    console.log(`👤 Request user:`, req.user);
+
+    const league = await League.findById(leagueId);
+    if (!league) {
+      return res.status(404).json({ success: false, message: "League not found" });
+    }
+
+    console.log(`🏈 League admin:`, league.admin);
+
+    // Check if user is admin - FIXED
+    if (!checkAdmin(league, req.user)) {
+      console.log(`❌ Admin check failed: User is not the league admin`);
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can set winner"
+      });
+    }
+
+    console.log(`✅ Admin check passed - User is the league admin`);
+
+    // Find the winner participant by team id; a team name is still accepted
+    const winnerTeamId = teamId || league.participants.find(p => p.teamName === req.body.teamName)?.teamId;
+    const owner = winnerTeamId ? findTeamOwner(league, winnerTeamId) : null;
+    const winnerParticipant = owner && owner.status !== 'withdrawn' ? owner : null;
+    if (!winnerParticipant) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Team not found in league participants" 
+      });
+    }
+    const teamName = winnerParticipant.teamName;
+
+    // Find the winner team in standings
+    const winnerTeam = findTeamRow(league.teams, winnerParticipant.teamId, teamName);
+    
+    // Set the winner, replacing any winner already crowned this season
+    const replaced = { teamName: league.winner.teamName, teamId: league.winner.teamId };
+    league.winner = {
+      teamName: teamName,
+      teamId: winnerParticipant.teamId,
+      userId: winnerParticipant.userId,
+      teamLogo: teamLogo || winnerTeam?.logo || winnerParticipant.teamLogoUrl || '',
+      awardedAt: new Date(),
+      automatic: false
+    };
+    
+    league.isCelebrating = true;
+    league.celebrationEnds = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days
+    league.status = 'completed';
+    
+    // Add to previous winners
+    recordSeasonWinner(league, replaced);
+
+    await league.save();
+
+    console.log(`✅ Winner set successfully: ${teamName}`);
+
+    // Broadcast winner celebration
+    broadcastToLeague(league, {
+      type: 'LEAGUE_WINNER_CROWNED',
+      league: formatLeague(league, null),
+      winner: league.winner,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: `${teamName} crowned as league winner! Celebration started for 3 days.`,
+      data: league 
+    });
+  } catch (err) {
+    console.error('❌ Error in setLeagueWinner:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: err.message || "Internal server error while setting winner" 
+    });
+  }
+};
+
+// Get all previous winners
+exports.getPreviousWinners = async (req, res) => {
+  try {
+    const { leagueId } = req.params;
+    
+    const league = await League.findById(leagueId)
+      .select(`previousWinners name ${VISIBILITY_FIELDS}`)
+      .populate('previousWinners.userId', 'name username');
+    
+    if (hideLeague(league, req, res)) return;
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueName: league.name,
+        // Archived seasons link to their final table
+        previousWinners: league.previousWinners.map(winner => ({
+          ...winner.toObject(),
+          seasonUrl: winner.seasonId ? `/api/leagues/${league._id}/seasons/${winner.seasonId}` : null
+        }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// A season can be rolled over once every match is played or it was completed
+const isSeasonFinished = (league) =>
+  league.matches.length > 0 &&
+  (league.status === 'completed' || league.matches.every(m => m.played || m.voided || m.isBye));
+
+// Archive the finished season of `league` and set the league up for the next
+// one in memory; nothing is saved. Participants are kept as they are
+// (participantMode 'keep', fixtures generated straight away) or have to
+// confirm again ('reconfirm') before the admin generates fixtures. A
+// `participants` list replaces the current one for the new season.
+const prepareSeasonRollover = (league, { startDate, endDate, participantMode = 'keep', participants, fixtureOptions = {} } = {}) => {
+  if (!['keep', 'reconfirm'].includes(participantMode)) {
+    return { error: "participants must be keep or reconfirm" };
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+    return { error: "startDate and endDate are required" };
+  }
+  if (end <= start) {
+    return { error: "endDate must be after startDate" };
+  }
+
+  if (league.matches.length === 0) {
+    return { error: `${league.name}: the current season has not started yet` };
+  }
+  if (!isSeasonFinished(league)) {
+    return { error: `${league.name}: finish every match of the current season before starting a new one` };
+  }
+
+  const archive = new Season({
+    leagueId: league._id,
+    seasonNumber: league.seasonNumber || 1,
+    label: getSeasonLabel(league),
+    name: league.name,
+    format: league.format,
+    startDate: league.startDate,
+    endDate: league.endDate,
+    pointsSystem: getPointsSystem(league),
+    tiebreakers: getTiebreakers(league),
+    participants: league.participants.map(p => p.toObject()),
+    teams: league.teams.map(t => t.toObject()),
+    matches: league.matches.map(m => m.toObject()),
+    byes: league.byes.map(b => b.toObject()),
+    winner: league.winner.toObject ? league.winner.toObject() : league.winner
+  });
+
+  league.startDate = start;
+  league.endDate = end;
+  if (participants) {
+    league.participants = participants;
+  }
+  if (participantMode === 'reconfirm') {
+    league.participants.forEach(p => {
+      if (p.status === 'approved') p.status = 'unconfirmed';
+    });
+  }
+
+  let fixtures = null;
+  const approved = league.participants.filter(p => p.status === 'approved');
+  if (participantMode === 'keep' && approved.length >= 2) {
+    fixtures = buildLeagueFixtures(league, approved, fixtureOptions);
+    if (fixtures.error) {
+      return { error: `${league.name}: ${fixtures.error}` };
+    }
+  }
+
+  return { archive, fixtures };
+};
+
+// Save a prepared rollover: the archive first, then the league moved on to
+// its new season. With a `session` both saves join its transaction.
+const saveSeasonRollover = async (league, { archive, fixtures }, { session } = {}) => {
+  await archive.save({ session });
+
+  // Link the season's winner entry to the archived table
+  if (archive.winner.teamName) {
+    const entry = league.previousWinners.find(w =>
+      w.teamName === archive.winner.teamName && w.season === archive.label && !w.seasonId
+    );
+    if (entry) {
+      entry.seasonId = archive._id;
+    } else {
+      league.previousWinners.push({
+        teamName: archive.winner.teamName,
+        userId: archive.winner.userId,
+        teamLogo: archive.winner.teamLogo,
+        awardedAt: archive.winner.awardedAt,
+        season: archive.label,
+        seasonId: archive._id
+      });
+    }
+  }
+
+  league.seasonNumber = archive.seasonNumber + 1;
+  league.teams = fixtures ? fixtures.teams : [];
+  league.matches = fixtures ? fixtures.matches : [];
+  league.byes = fixtures ? fixtures.byes : [];
+  league.winner = { teamName: '', teamLogo: '' };
+  league.status = fixtures ? 'active' : 'draft';
+
+  try {
+    await league.save({ session });
+  } catch (err) {
+    // Do not leave an archive behind for a season that never rolled over;
+    // inside a transaction the abort already discards it
+    if (!session) await Season.deleteOne({ _id: archive._id }).catch(() => {});
+    throw err;
+  }
+
+  return league;
+};
+
+// Tell the league's members about a saved rollover
+const announceSeasonRollover = (league, archive) => {
+  console.log(`🔁 ${league.name}: season ${archive.seasonNumber} archived, season ${league.seasonNumber} started`);
+
+  broadcastToLeague(league, {
+    type: 'NEW_SEASON_STARTED',
+    leagueId: league._id,
+    seasonNumber: league.seasonNumber,
+    archivedSeasonId: archive._id,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Season rollover helpers, shared with the competition controller
+exports.isSeasonFinished = isSeasonFinished;
+exports.prepareSeasonRollover = prepareSeasonRollover;
+exports.saveSeasonRollover = saveSeasonRollover;
+exports.announceSeasonRollover = announceSeasonRollover;
+
+// Archive the current season and start a new one with new dates. Fixture
+// options are the same as for generate-matches.
+exports.startNewSeason = async (req, res) => {
+  try {
+    const { startDate, endDate, participants: participantMode = 'keep' } = req.body;
+
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can start a new season" 
+      });
+    }
+
+    // Divisions move on together so promotion and relegation can be applied
+    const competition = await Competition.findOne({ 'divisions.leagueId': league._id }).select('name');
+    if (competition) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `This league is a division of ${competition.name}; start the new season from the competition` 
+      });
+    }
+
+    const rollover = prepareSeasonRollover(league, {
+      startDate,
+      endDate,
+      participantMode,
+      fixtureOptions: req.body
+    });
+    if (rollover.error) {
+      return res.status(400).json({ success: false, message: rollover.error });
+    }
+
+    await saveSeasonRollover(league, rollover);
+    announceSeasonRollover(league, rollover.archive);
+
+    res.json({ 
+      success: true, 
+      message: rollover.fixtures
+        ? `Season ${league.seasonNumber} started and fixtures generated`
+        : `Season ${league.seasonNumber} started, waiting for participants before generating fixtures`, 
+      data: {
+        league,
+        archivedSeasonId: rollover.archive._id
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error in startNewSeason:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Confirm a place in the new season after a rollover with reconfirmation
+exports.confirmParticipation = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    const participant = findUserEntry(league, req.user._id);
+    if (!participant) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "You are not a participant of this league" 
+      });
+    }
+
+    if (participant.status !== 'unconfirmed') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "There is nothing to confirm for this league" 
+      });
+    }
+
+    if (league.matches.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Fixtures for this season have already been generated" 
+      });
+    }
+
+    participant.status = 'approved';
+    await league.save();
+
+    broadcastToLeague(league, {
+      type: 'PARTICIPANT_CONFIRMED',
+      leagueId: league._id,
+      participant: {
+        userId: participant.userId,
+        teamName: participant.teamName
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: "Participation confirmed for the new season", 
+      data: participant 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// List the archived seasons of a league, newest first
+exports.getSeasons = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id).select(`name seasonNumber ${VISIBILITY_FIELDS}`);
+    if (hideLeague(league, req, res)) return;
+
+    const seasons = await Season.find({ leagueId: league._id })
+      .select('seasonNumber label startDate endDate winner archivedAt teams.name')
+      .sort({ seasonNumber: -1 })
+      .lean();
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        leagueName: league.name,
+        currentSeason: league.seasonNumber,
+        seasons: seasons.map(season => ({
+          _id: season._id,
+          seasonNumber: season.seasonNumber,
+          label: season.label,
+          startDate: season.startDate,
+          endDate: season.endDate,
+          winner: season.winner,
+          teamCount: season.teams.length,
+          archivedAt: season.archivedAt
+        }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Get an archived season with its final tables and matches
+exports.getSeason = async (req, res) => {
+  try {
+    const { id, seasonId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(seasonId)) {
+      return res.status(400).json({ success: false, message: "Invalid season id" });
+    }
+
+    // Archived seasons follow the visibility of their league
+    const league = await League.findById(id).select(VISIBILITY_FIELDS);
+    if (hideLeague(league, req, res)) return;
+
+    const season = await Season.findOne({ _id: seasonId, leagueId: id }).lean();
+    if (!season) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Season not found" 
+      });
+    }
+
+    // Teams were archived in table order
+    const groupNames = [...new Set(season.teams.map(t => t.groupName || ''))].sort();
+    const tables = groupNames.map(groupName => ({
+      groupName,
+      teams: season.teams.filter(t => (t.groupName || '') === groupName)
+    }));
+
+    res.json({ 
+      success: true, 
+      data: {
+        ...season,
+        tables
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// List join requests of a league, pending ones by default (?status=)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "status must be pending, approved, rejected or all" 
+      });
+    }
+
+    const league = await League.findById(req.params.id)
+      .populate('participants.userId', 'name email username');
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can view join requests" 
+      });
+    }
+
+    const requests = league.participants
+      .filter(p => status === 'all' || p.status === status)
+      .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+
+    res.json({ 
+      success: true, 
+      data: {
+        requiresApproval: league.requiresApproval,
+        spotsLeft: Math.max(0, league.maxParticipants - countTakenSpots(league)),
+        requests
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Approve or reject a join request and tell the applicant
+const decideJoinRequest = (decision) => async (req, res) => {
+  try {
+    const reason = getReason(req.body);
+
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can decide join requests" 
+      });
+    }
+
+    const participant = findUserEntry(league, req.params.userId);
+    if (!participant) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Join request not found" 
+      });
+    }
+
+    if (participant.status === decision) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `This request is already ${decision}` 
+      });
+    }
+    if (!['pending', 'rejected', 'approved'].includes(participant.status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Only join requests can be approved or rejected" 
+      });
+    }
+
+    if (league.matches.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Fixtures are already generated; participants can no longer change" 
+      });
+    }
+
+    if (decision === 'approved' && participant.status === 'rejected' && countTakenSpots(league) >= league.maxParticipants) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "League is full" 
+      });
+    }
+
+    const wasApproved = participant.status === 'approved';
+    participant.status = decision;
+    participant.decidedAt = new Date();
+    participant.decidedBy = req.user._id;
+    participant.decisionReason = reason;
+
+    // A rejected request frees its place for the waitlist
+    const promoted = decision === 'rejected' ? promoteFromWaitlist(league) : [];
+    await league.save();
+    await notifyPromoted(league, promoted);
+
+    if (decision === 'approved') {
+      await addUserLeague(participant.userId, league, participant.teamName);
+    } else if (wasApproved) {
+      await User.updateOne(
+        { _id: participant.userId },
+        { $pull: { leagues: { leagueId: league._id.toString() } } }
+      );
+    }
+
+    console.log(`${decision === 'approved' ? '✅' : '🚫'} Join request of ${participant.teamName} ${decision} in ${league.name}`);
+
+    if (typeof broadcastToUser === 'function') {
+      broadcastToUser(participant.userId.toString(), {
+        type: decision === 'approved' ? 'JOIN_REQUEST_APPROVED' : 'JOIN_REQUEST_REJECTED',
+        leagueId: league._id,
+        leagueName: league.name,
+        teamName: participant.teamName,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (decision === 'approved') {
+      broadcastToLeague(league, {
+        type: 'PARTICIPANT_ADDED',
+        leagueId: league._id,
+        participant: {
+          userId: participant.userId,
+          teamName: participant.teamName,
+          teamLogoUrl: participant.teamLogoUrl
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: `Join request ${decision}`, 
+      data: participant 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+exports.approveJoinRequest = decideJoinRequest('approved');
+exports.rejectJoinRequest = decideJoinRequest('rejected');
+
+// Waitlist of a league. The admin gets the full list, anyone else their own position.
+exports.getWaitlist = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id)
+      .populate('waitlist.userId', 'name username');
+    if (hideLeague(league, req, res)) return;
+
+    const userId = req.user._id.toString();
+    const position = league.waitlist.findIndex(w => (w.userId._id || w.userId).toString() === userId) + 1;
+    const isAdmin = league.admin.toString() === userId;
+
+    res.json({ 
+      success: true, 
+      data: {
+        leagueId: league._id,
+        length: league.waitlist.length,
+        position: position || null,
+        ...(isAdmin && { waitlist: league.waitlist })
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Leave the waitlist of a league
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    if (hideLeague(league, req, res)) return;
+
+    const index = league.waitlist.findIndex(w => w.userId.toString() === req.user._id.toString());
+    if (index === -1) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "You are not on the waitlist of this league" 
+      });
+    }
+
+    league.waitlist.splice(index, 1);
+    await league.save();
+
+    res.json({ 
+      success: true, 
+      message: "Removed from the waitlist" 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Keys of the teams whose participant withdrew and was not replaced
+const getWithdrawnTeams = (league) => {
+  const keyOf = (p) => getTeamKey(p.teamId, p.teamName);
+  const active = new Set(
+    league.participants.filter(p => p.status !== 'withdrawn').map(keyOf)
+  );
+  return new Set(
+    league.participants
+      .filter(p => p.status === 'withdrawn' && !active.has(keyOf(p)))
+      .map(keyOf)
+  );
+};
+
+// Take a team out of a league whose fixtures exist. 'void' drops its league
+// and group results from the table; 'forfeit' awards its remaining matches to
+// the opponents. Knockout ties cannot be voided, so the team's remaining
+// knockout matches are forfeited under either policy. Returns the changed
+// matches with their previous result for the audit trail.
+const withdrawTeam = (league, participant, policy) => {
+  const teamKey = getTeamKey(participant.teamId, participant.teamName);
+  const changes = [];
+
+  league.matches
+    .filter(m => (getSideKey(m, 'home') === teamKey || getSideKey(m, 'away') === teamKey) && !m.isBye && !m.voided)
+    .forEach(match => {
+      const previous = getResultSnapshot(match);
+
+      if (policy === 'void' && match.stage !== 'knockout') {
+        match.voided = true;
+        changes.push({ match, previous, action: 'result_voided' });
+        return;
+      }
+
+      // Unplayed matches with a known opponent are lost by forfeit
+      if (match.played || !match.homeTeam || !match.awayTeam) return;
+      const { result } = parseMatchResult({ forfeitedBy: getSideKey(match, 'home') === teamKey ? 'home' : 'away' });
+      applyMatchResult(match, result);
+      match.resultStatus = 'confirmed';
+      if (match.stage === 'knockout') {
+        advanceKnockoutWinner(league.matches, match);
+      }
+      changes.push({ match, previous, action: 'result_entered' });
+    });
+
+  if (policy === 'void') {
+    league.teams = league.teams.filter(t => getRowKey(t) !== teamKey);
+  }
+
+  participant.status = 'withdrawn';
+  participant.withdrawnAt = new Date();
+  participant.withdrawalPolicy = policy;
+
+  return changes;
+};
+
+// Save a league after a withdrawal or replacement, with standings, audit
+// trail and ratings brought up to date
+const saveParticipantChange = async (league, changes, { actor, reason }) => {
+  const { warning } = await recalculateStandings(league) || {};
+  await league.save();
+
+  let audited = true;
+  for (const { match, previous, action } of changes) {
+    const entry = await recordAudit({
+      leagueId: league._id,
+      matchId: match._id,
+      action,
+      actor,
+      previous,
+      next: getResultSnapshot(match),
+      reason
+    });
+    if (!entry) audited = false;
+  }
+
+  if (changes.length > 0) {
+    refreshRatings(...changes.map(({ match }) => getRatingTime(match)));
+  }
+
+  return { warning: joinWarnings(warning, !audited && AUDIT_FAILED_WARNING) };
+};
+
+// Leave a league. Before fixtures exist the place is simply given up; after
+// that the admin is asked to withdraw the team and decide how its matches
+// are handled.
+exports.leaveLeague = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    const index = league.participants.findIndex(p =>
+      p.userId.toString() === req.user._id.toString() && !['rejected', 'withdrawn'].includes(p.status)
+    );
+    if (index === -1) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "You are not a participant of this league" 
+      });
+    }
+    const participant = league.participants[index];
+
+    if (league.matches.length > 0) {
+      if (participant.withdrawalRequestedAt) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "You have already asked to withdraw from this league" 
+        });
+      }
+
+      participant.withdrawalRequestedAt = new Date();
+      await league.save();
+
+      if (typeof broadcastToUser === 'function') {
+        broadcastToUser(league.admin.toString(), {
+          type: 'WITHDRAWAL_REQUESTED',
+          leagueId: league._id,
+          leagueName: league.name,
+          participant: {
+            userId: participant.userId,
+            teamName: participant.teamName
+          },
+          reason: getReason(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return res.json({ 
+        success: true, 
+        message: "Withdrawal requested; the admin will decide how your remaining matches are handled", 
+        data: participant 
+      });
+    }
+
+    league.participants.splice(index, 1);
+    const promoted = promoteFromWaitlist(league);
+    await league.save();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { leagues: { leagueId: league._id.toString() } } }
+    );
+    await notifyPromoted(league, promoted);
+
+    console.log(`👋 ${participant.teamName} left ${league.name}`);
+
+    broadcastToLeague(league, {
+      type: 'PARTICIPANT_REMOVED',
+      leagueId: league._id,
+      participant: {
+        userId: participant.userId,
+        teamName: participant.teamName
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: "You have left the league" 
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Remove a participant. Before fixtures exist they are simply removed; after
+// that the admin picks a policy (void or forfeit) for the team's matches.
+exports.removeParticipant = async (req, res) => {
+  try {
+    const policy = req.body.policy || req.query.policy;
+    const reason = getReason(req.body);
+
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can remove participants" 
+      });
+    }
+
+    const index = league.participants.findIndex(p =>
+      p.userId.toString() === req.params.userId && p.status !== 'withdrawn'
+    );
+    if (index === -1) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Participant not found" 
+      });
+    }
+    const participant = league.participants[index];
+
+    let changes = [];
+    let promoted = [];
+    if (league.matches.length === 0) {
+      league.participants.splice(index, 1);
+      promoted = promoteFromWaitlist(league);
+    } else {
+      if (!['void', 'forfeit'].includes(policy)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Fixtures exist; policy must be void or forfeit (or replace the participant instead)" 
+        });
+      }
+      changes = withdrawTeam(league, participant, policy);
+    }
+
+    const { warning } = await saveParticipantChange(league, changes, { actor: req.user._id, reason });
+    if (league.matches.length === 0) {
+      await User.updateOne(
+        { _id: participant.userId },
+        { $pull: { leagues: { leagueId: league._id.toString() } } }
+      );
+    }
+    await notifyPromoted(league, promoted);
+
+    console.log(`🚪 ${participant.teamName} removed from ${league.name}${policy && league.matches.length > 0 ? ` (${policy})` : ''}`);
+
+    if (typeof broadcastToUser === 'function') {
+      broadcastToUser(participant.userId.toString(), {
+        type: 'REMOVED_FROM_LEAGUE',
+        leagueId: league._id,
+        leagueName: league.name,
+        teamName: participant.teamName,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    broadcastToLeague(league, {
+      type: 'PARTICIPANT_REMOVED',
+      leagueId: league._id,
+      participant: {
+        userId: participant.userId,
+        teamName: participant.teamName
+      },
+      policy: league.matches.length > 0 ? policy : null,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ 
+      success: true, 
+      message: changes.length > 0
+        ? `${participant.teamName} withdrawn, ${changes.length} matches updated and standings recalculated`
+        : `${participant.teamName} removed from the league`, 
+      data: league,
+      ...(warning && { warning })
+    });
+  } catch (err) {
+    console.error('❌ Error in removeParticipant:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Hand a participant's place to another user, who takes over the team name
+// and its record
+exports.replaceParticipant = async (req, res) => {
+  try {
+    const { userId: replacementId, teamLogoUrl } = req.body;
+    const reason = getReason(req.body);
+
+    if (!replacementId || !mongoose.Types.ObjectId.isValid(replacementId)) {
+      return res.status(400).json({ success: false, message: "A valid replacement userId is required" });
+    }
+
+    const league = await League.findById(req.params.id);
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can replace participants" 
+      });
+    }
+
+    const index = league.participants.findIndex(p =>
+      p.userId.toString() === req.params.userId && !['rejected', 'withdrawn'].includes(p.status)
+    );
+    if (index === -1) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Participant not found" 
+      });
+    }
+    const participant = league.participants[index];
+
+    const existingEntry = findUserEntry(league, replacementId);
+    if (existingEntry && !['rejected', 'withdrawn'].includes(existingEntry.status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "The replacement is already a participant of this league" 
+      });
+    }
+
+    const replacement = await User.findById(replacementId).select('username');
+    if (!replacement) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+
+    // Before fixtures the old entry goes; after, it stays on record as replaced
+    if (league.matches.length === 0) {
+      league.participants.splice(index, 1);
+    } else {
+      participant.status = 'withdrawn';
+      participant.withdrawnAt = new Date();
+      participant.withdrawalPolicy = 'replaced';
+    }
+    const entry = {
+      userId: replacement._id,
+      teamName: participant.teamName,
+      teamId: participant.teamId,
+      teamLogoUrl: typeof teamLogoUrl === 'string' && teamLogoUrl.trim() !== ''
+        ? teamLogoUrl.trim()
+        : participant.teamLogoUrl,
+      joinedAt: new Date(),
+      status: 'approved'
+    };
+    // A declined join request becomes the new entry; a withdrawn one keeps
+    // the matches played for its old team
+    if (existingEntry?.status === 'rejected') {
+      existingEntry.set({ ...entry, decisionReason: '' });
+    } else {
+      league.participants.push(entry);
+    }
+    league.waitlist = league.waitlist.filter(w => w.userId.toString() !== replacement._id.toString());
 
-    // Always recalculate standings to ensure accuracy
-    await recalculateStandings(league);
+    await saveParticipantChange(league, [], { actor: req.user._id, reason });
+    await User.updateOne(
+      { _id: participant.userId },
+      { $pull: { leagues: { leagueId: league._id.toString() } } }
+    );
+    await addUserLeague(replacement._id, league, participant.teamName);
 
-    await league.save();
-    console.log(`✅ Match result updated successfully`);
+    console.log(`🔄 ${participant.teamName} in ${league.name} handed to ${replacement.username}`);
 
-    // Broadcast match update to all connected clients
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'MATCH_UPDATED',
-        match: {
-          _id: match._id,
-          homeTeam: match.homeTeam,
-          awayTeam: match.awayTeam,
-          homeGoals: match.homeGoals,
-          awayGoals: match.awayGoals,
-          played: match.played,
-          matchNumber: match.matchNumber,
-          roundNumber: match.roundNumber
-        },
+    if (typeof broadcastToUser === 'function') {
+      broadcastToUser(participant.userId.toString(), {
+        type: 'REMOVED_FROM_LEAGUE',
         leagueId: league._id,
+        leagueName: league.name,
+        teamName: participant.teamName,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+      broadcastToUser(replacement._id.toString(), {
+        type: 'ADDED_AS_REPLACEMENT',
+        leagueId: league._id,
+        leagueName: league.name,
+        teamName: participant.teamName,
         timestamp: new Date().toISOString()
       });
     }
 
+    broadcastToLeague(league, {
+      type: 'PARTICIPANT_REPLACED',
+      leagueId: league._id,
+      teamName: participant.teamName,
+      previousUserId: participant.userId,
+      userId: replacement._id,
+      timestamp: new Date().toISOString()
+    });
+
     res.json({ 
       success: true, 
-      message: "Match result updated and standings recalculated", 
+      message: `${replacement.username} now plays as ${participant.teamName}`, 
       data: league 
     });
-
   } catch (err) {
-    console.error('❌ Error in updateMatchResult:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: err.message || "Internal server error while updating match result" 
-    });
+    res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// Get league by join code
-exports.getLeagueByCode = async (req, res) => {
+// Validate and apply a team name or logo change by team id
+const applyTeamUpdate = (league, teamId, body) => {
+  const teamName = typeof body.teamName === 'string' ? body.teamName.trim() : undefined;
+  const teamLogoUrl = typeof body.teamLogoUrl === 'string' ? body.teamLogoUrl.trim() : undefined;
+
+  if (teamName === undefined && teamLogoUrl === undefined) {
+    return { error: "teamName or teamLogoUrl is required" };
+  }
+  if (teamName === '') {
+    return { error: "teamName cannot be empty" };
+  }
+
+  // Names stay unique within a league, ignoring case
+  const taken = teamName && league.participants.some(p =>
+    p.teamName.toLowerCase() === teamName.toLowerCase() && p.teamId?.toString() !== teamId.toString()
+  );
+  if (taken || (teamName && league.waitlist.some(w => w.teamName.toLowerCase() === teamName.toLowerCase()))) {
+    return { error: "This team name is already taken in this league" };
+  }
+
+  const renamed = renameTeam(league, teamId, { teamName, teamLogoUrl });
+  if (!renamed) {
+    return { error: "Team not found", status: 404 };
+  }
+  return renamed;
+};
+
+// Save a team change and carry the new name to the places outside the league
+const saveTeamUpdate = async (league, teamId, { previousName, teamName }) => {
+  await league.save();
+
+  if (previousName !== teamName) {
+    await User.updateMany(
+      { 'leagues.leagueId': league._id.toString() },
+      { $set: { 'leagues.$[entry].teamName': teamName } },
+      { arrayFilters: [{ 'entry.leagueId': league._id.toString(), 'entry.teamName': previousName }] }
+    );
+    await Competition.updateMany(
+      { 'playoffs.upperLeagueId': league._id },
+      { $set: { 'playoffs.$[p].homeTeam': teamName } },
+      { arrayFilters: [{ 'p.upperLeagueId': league._id, 'p.homeTeam': previousName }] }
+    );
+    await Competition.updateMany(
+      { 'playoffs.lowerLeagueId': league._id },
+      { $set: { 'playoffs.$[p].awayTeam': teamName } },
+      { arrayFilters: [{ 'p.lowerLeagueId': league._id, 'p.awayTeam': previousName }] }
+    );
+    console.log(`✏️ ${previousName} renamed to ${teamName} in ${league.name}`);
+  }
+
+  const participant = league.participants.find(p => p.teamId?.toString() === teamId.toString());
+
+  broadcastToLeague(league, {
+    type: 'TEAM_UPDATED',
+    leagueId: league._id,
+    teamId,
+    previousName,
+    teamName,
+    teamLogoUrl: participant?.teamLogoUrl || '',
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Rename your own team or change its logo
+exports.updateMyTeam = async (req, res) => {
   try {
-    const { code } = req.params;
-    const league = await League.findOne({ joinCode: code })
-      .populate('admin', 'name email username')
-      .populate('participants.userId', 'name email username')
-      .populate('winner.userId', 'name username');
-    
+    const league = await League.findById(req.params.id);
     if (!league) {
       return res.status(404).json({ 
         success: false, 
@@ -745,18 +3626,48 @@ exports.getLeagueByCode = async (req, res) => {
       });
     }
 
-    res.json({ success: true, data: league });
+    const participant = league.participants.find(p =>
+      p.userId.toString() === req.user._id.toString() && !['rejected', 'withdrawn'].includes(p.status)
+    );
+    if (!participant) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "You are not a participant of this league" 
+      });
+    }
+
+    // Leagues saved before team ids existed get them now
+    if (!participant.teamId) {
+      assignMissingTeamIds(league);
+    }
+
+    const update = applyTeamUpdate(league, participant.teamId, req.body);
+    if (update.error) {
+      return res.status(update.status || 400).json({ success: false, message: update.error });
+    }
+
+    await saveTeamUpdate(league, participant.teamId, update);
+
+    res.json({ 
+      success: true, 
+      message: "Team updated successfully", 
+      data: participant 
+    });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// Delete League - FIXED
-// Delete League - COMPLETE
-exports.deleteLeague = async (req, res) => {
+// Rename any team of the league or change its logo
+exports.updateTeam = async (req, res) => {
   try {
+    const { teamId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(teamId)) {
+      return res.status(400).json({ success: false, message: "Invalid team id" });
+    }
+
     const league = await League.findById(req.params.id);
-    
     if (!league) {
       return res.status(404).json({ 
         success: false, 
@@ -764,224 +3675,245 @@ exports.deleteLeague = async (req, res) => {
       });
     }
 
-    // Check if user is admin - FIXED
     if (!checkAdmin(league, req.user)) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can delete league" 
+        message: "Only admin can update other teams" 
       });
     }
 
-    await League.findByIdAndDelete(req.params.id);
-
-    // Broadcast league deletion
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'LEAGUE_DELETED',
-        leagueId: req.params.id,
-        timestamp: new Date().toISOString()
-      });
+    const update = applyTeamUpdate(league, teamId, req.body);
+    if (update.error) {
+      return res.status(update.status || 400).json({ success: false, message: update.error });
     }
 
-    res.json({ success: true, message: "League deleted successfully" });
+    await saveTeamUpdate(league, teamId, update);
+
+    res.json({ 
+      success: true, 
+      message: "Team updated successfully", 
+      data: league.participants.filter(p => p.teamId?.toString() === teamId) 
+    });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// BULK JOIN LEAGUE (Admin adds multiple teams manually) - FIXED
-// BULK JOIN LEAGUE (Admin adds multiple teams manually) - COMPLETE
-exports.bulkJoinLeague = async (req, res) => {
+// Replace the join code, e.g. after it leaked. The old code stops working
+// immediately; invites are not affected.
+exports.rotateJoinCode = async (req, res) => {
   try {
-    const { leagueId } = req.params;
-    const { participants } = req.body;
-
-    const league = await League.findById(leagueId);
+    const league = await League.findById(req.params.id);
     if (!league) {
-      return res.status(404).json({ success: false, message: "League not found" });
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
     }
 
-    // Only admin can bulk add - FIXED
     if (!checkAdmin(league, req.user)) {
-      return res.status(403).json({ success: false, message: "Only admin can bulk add participants" });
-    }
-
-    if (!Array.isArray(participants) || participants.length === 0) {
-      return res.status(400).json({ success: false, message: "Participants array required" });
-    }
-
-    const remainingSpots = league.maxParticipants - league.participants.length;
-    if (participants.length > remainingSpots) {
-      return res.status(400).json({ 
+      return res.status(403).json({ 
         success: false, 
-        message: `Only ${remainingSpots} spots left in league`
+        message: "Only admin can rotate the join code" 
       });
     }
 
-    // Filter and map new participants
-    const newParticipants = participants.map(p => ({
-      userId: p.userId,
-      teamName: p.teamName,
-      teamLogoUrl: p.teamLogoUrl || '',
-      status: p.status || "approved",
-      joinedAt: new Date()
-    }));
-
-    league.participants.push(...newParticipants);
+    league.joinCode = await League.generateUniqueJoinCode();
     await league.save();
 
-    // Broadcast bulk participant addition
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'PARTICIPANTS_ADDED',
-        leagueId: leagueId,
-        participants: newParticipants,
-        timestamp: new Date().toISOString()
-      });
-    }
+    console.log(`🔑 Join code rotated for ${league.name}`);
 
-    res.json({
-      success: true,
-      message: `${newParticipants.length} participants added successfully`,
-      data: league
+    res.json({ 
+      success: true, 
+      message: "Join code rotated successfully", 
+      data: { joinCode: league.joinCode } 
     });
   } catch (err) {
-    console.error("Bulk join error:", err);
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// Get celebrating winners
-exports.getCelebratingWinners = async (req, res) => {
+// Invite as shown to the admin, with how often it has been used
+const formatInvite = (invite) => ({
+  _id: invite._id,
+  token: invite.token,
+  teamName: invite.teamName,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.redemptions.length,
+  active: !getInviteError(invite),
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt,
+  redemptions: invite.redemptions
+});
+
+// Create an invite token with an optional expiry, maximum number of uses and
+// pre-assigned team name
+exports.createInvite = async (req, res) => {
   try {
-    const celebratingLeagues = await League.find({
-      isCelebrating: true,
-      celebrationEnds: { $gt: new Date() },
-      'winner.teamName': { $exists: true, $ne: '' }
-    })
-    .populate('winner.userId', 'name username')
-    .populate('admin', 'name username')
-    .select('name winner celebrationEnds leagueLogoUrl description');
-    
-    res.json({ 
+    const { expiresAt, maxUses, teamName } = req.body;
+
+    const league = await League.findById(req.params.id).select('+invites');
+    if (!league) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
+    }
+
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can create invites" 
+      });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry) || expiry <= new Date()) {
+        return res.status(400).json({ success: false, message: "expiresAt must be a date in the future" });
+      }
+    }
+
+    if (maxUses != null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({ success: false, message: "maxUses must be a positive whole number" });
+    }
+
+    // A pre-assigned team name is meant for one person, so such invites are
+    // single use
+    const assignedName = typeof teamName === 'string' ? teamName.trim() : '';
+    if (assignedName) {
+      if (getUniqueTeamName(league, assignedName) !== assignedName) {
+        return res.status(400).json({ success: false, message: "Team name is already taken in this league" });
+      }
+      if (maxUses != null && maxUses !== 1) {
+        return res.status(400).json({ success: false, message: "An invite with a team name can only be used once" });
+      }
+    }
+
+    league.invites.push({
+      token: generateInviteToken(),
+      teamName: assignedName,
+      expiresAt: expiry,
+      maxUses: assignedName ? 1 : (maxUses ?? null),
+      createdBy: req.user._id
+    });
+    await league.save();
+
+    const invite = league.invites[league.invites.length - 1];
+    console.log(`✉️ Invite created for ${league.name}`);
+
+    res.status(201).json({ 
       success: true, 
-      data: celebratingLeagues 
+      message: "Invite created successfully", 
+      data: formatInvite(invite) 
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// FIXED: Set league winner manually (admin only)
-// Set league winner manually - COMPLETE
-exports.setLeagueWinner = async (req, res) => {
+// List the invites of a league with their redemptions
+exports.getInvites = async (req, res) => {
   try {
-    const { leagueId } = req.params;
-    const { teamName, teamLogo } = req.body;
-
-    console.log(`🏆 Setting winner for league ${leagueId}, team: ${teamName}`);
-    console.log(`👤 Request user:`, req.user);
-
-    const league = await League.findById(leagueId);
+    const league = await League.findById(req.params.id)
+      .select('+invites')
+      .populate('invites.redemptions.userId', 'name username');
     if (!league) {
-      return res.status(404).json({ success: false, message: "League not found" });
+      return res.status(404).json({ 
+        success: false, 
+        message: "League not found" 
+      });
     }
 
-    console.log(`🏈 League admin:`, league.admin);
-
-    // Check if user is admin - FIXED
     if (!checkAdmin(league, req.user)) {
-      console.log(`❌ Admin check failed: User is not the league admin`);
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can set winner"
+        message: "Only admin can view invites" 
       });
     }
 
-    console.log(`✅ Admin check passed - User is the league admin`);
+    res.json({ success: true, data: league.invites.map(formatInvite) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
 
-    // Find the winner participant
-    const winnerParticipant = league.participants.find(p => p.teamName === teamName);
-    if (!winnerParticipant) {
+// Revoke an invite. Teams that already joined with it stay in the league.
+exports.revokeInvite = async (req, res) => {
+  try {
+    const league = await League.findById(req.params.id).select('+invites');
+    if (!league) {
       return res.status(404).json({ 
         success: false, 
-        message: "Team not found in league participants" 
+        message: "League not found" 
       });
     }
 
-    // Find the winner team in standings
-    const winnerTeam = league.teams.find(t => t.name === teamName);
-    
-    // Set the winner
-    league.winner = {
-      teamName: teamName,
-      userId: winnerParticipant.userId,
-      teamLogo: teamLogo || winnerTeam?.logo || winnerParticipant.teamLogoUrl || '',
-      awardedAt: new Date()
-    };
-    
-    league.isCelebrating = true;
-    league.celebrationEnds = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days
-    league.status = 'completed';
-    
-    // Add to previous winners
-    league.previousWinners.push({
-      teamName: teamName,
-      userId: winnerParticipant.userId,
-      teamLogo: teamLogo || winnerTeam?.logo || winnerParticipant.teamLogoUrl || '',
-      awardedAt: new Date(),
-      season: `${new Date(league.startDate).getFullYear()}-${new Date(league.endDate).getFullYear()}`
-    });
-
-    await league.save();
+    if (!checkAdmin(league, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only admin can revoke invites" 
+      });
+    }
 
-    console.log(`✅ Winner set successfully: ${teamName}`);
+    const invite = league.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: "Invite not found" });
+    }
 
-    // Broadcast winner celebration
-    if (typeof broadcastToAll === 'function') {
-      broadcastToAll({
-        type: 'LEAGUE_WINNER_CROWNED',
-        league: league,
-        winner: league.winner,
-        timestamp: new Date().toISOString()
-      });
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await league.save();
     }
 
     res.json({ 
       success: true, 
-      message: `${teamName} crowned as league winner! Celebration started for 3 days.`,
-      data: league 
+      message: "Invite revoked successfully", 
+      data: formatInvite(invite) 
     });
   } catch (err) {
-    console.error('❌ Error in setLeagueWinner:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: err.message || "Internal server error while setting winner" 
-    });
+    res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// Get all previous winners
-exports.getPreviousWinners = async (req, res) => {
+// Preview the league behind an invite before joining with it
+exports.getInviteByToken = async (req, res) => {
   try {
-    const { leagueId } = req.params;
-    
-    const league = await League.findById(leagueId)
-      .select('previousWinners name')
-      .populate('previousWinners.userId', 'name username');
-    
-    if (!league) {
-      return res.status(404).json({ success: false, message: "League not found" });
+    const { token } = req.params;
+    const league = await League.findOne({ 'invites.token': token })
+      .select('+invites')
+      .populate('admin', 'name username');
+    const invite = league?.invites.find(i => i.token === token);
+
+    if (!invite) {
+      return res.status(404).json({ success: false, message: "Invite not found" });
     }
 
+    // The token is the admin's permission to see the league, whatever its
+    // visibility, but the preview is not for shared caches
+    res.set('Cache-Control', 'private, no-store');
+    const inviteError = getInviteError(invite);
     res.json({ 
       success: true, 
       data: {
-        leagueName: league.name,
-        previousWinners: league.previousWinners
+        league: {
+          _id: league._id,
+          name: league.name,
+          description: league.description,
+          admin: league.admin,
+          maxParticipants: league.maxParticipants,
+          participantCount: countTakenSpots(league),
+          status: league.status
+        },
+        teamName: invite.teamName,
+        expiresAt: invite.expiresAt,
+        valid: !inviteError,
+        ...(inviteError && { message: inviteError })
       }
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
-};
\ No newline at end of file
+};
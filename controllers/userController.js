@@ -0,0 +1,275 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import League from '../models/League.js';
+import Rating from '../models/Rating.js';
+import Season from '../models/Season.js';
+import { seasonAsLeague, buildCareer, buildHeadToHead } from '../utils/career.js';
+import { getRatingConfig } from '../utils/ratings.js';
+import { VISIBILITY_FIELDS, canListLeague } from '../utils/visibility.js';
+
+// Profiles only show leagues the viewer could find in the league list:
+// public ones and the viewer's own. Archived seasons follow their league,
+// and seasons of deleted leagues stay visible.
+const loadListedCheck = async (leagueIds, viewer) => {
+  const leagues = await League.find({ _id: { $in: leagueIds } })
+    .select(VISIBILITY_FIELDS)
+    .lean()
+    .maxTimeMS(5000);
+  const hidden = new Set(leagues.filter(l => !canListLeague(l, viewer)).map(l => l._id.toString()));
+  return (leagueId) => !hidden.has(leagueId.toString());
+};
+
+// @desc    Career record across every league the user took part in
+// @route   GET /api/users/:id/career
+// @access  Public
+const getUserCareer = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid user id' 
+      });
+    }
+
+    const user = await User.findById(id)
+      .select('userCode username settings.profileImageUrl')
+      .lean()
+      .maxTimeMS(2000);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const [current, seasons] = await Promise.all([
+      League.find({ 'participants.userId': id })
+        .select('name status format startDate endDate participants matches teams winner previousWinners visibility admin waitlist.userId')
+        .lean()
+        .maxTimeMS(5000),
+      Season.find({ 'participants.userId': id })
+        .select('leagueId name format startDate endDate participants matches teams winner')
+        .lean()
+        .maxTimeMS(5000)
+    ]);
+
+    const isListed = await loadListedCheck(seasons.map(s => s.leagueId), req.user);
+
+    // Past seasons of a league count alongside its current one, newest first
+    const leagues = [
+      ...current.filter(l => canListLeague(l, req.user)),
+      ...seasons.filter(s => isListed(s.leagueId)).map(seasonAsLeague)
+    ]
+      .sort((x, y) => new Date(y.startDate) - new Date(x.startDate));
+
+    const career = buildCareer(user._id, leagues);
+
+    const responseTime = Date.now() - startTime;
+    if (responseTime > 100) {
+      console.log(`📈 Career for ${user.username}: ${leagues.length} leagues - ${responseTime}ms`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ...career
+      }
+    });
+  } catch (error) {
+    console.error('Get career error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch career'
+    });
+  }
+};
+
+// @desc    Rating, rank and rating history of a user
+// @route   GET /api/users/:id/rating
+// @access  Public
+const getUserRating = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid user id' 
+      });
+    }
+
+    const user = await User.findById(id)
+      .select('userCode username settings.profileImageUrl')
+      .lean()
+      .maxTimeMS(2000);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const rating = await Rating.findOne({ userId: id }).lean().maxTimeMS(2000);
+
+    // Players without a rated match sit at the initial rating, unranked
+    if (!rating) {
+      return res.json({
+        success: true,
+        data: {
+          user,
+          rating: getRatingConfig().initialRating,
+          peakRating: getRatingConfig().initialRating,
+          matchesPlayed: 0,
+          wins: 0,
+          draws: 0,
+          losses: 0,
+          rank: null,
+          history: []
+        }
+      });
+    }
+
+    const rank = await Rating.countDocuments({ rating: { $gt: rating.rating } }).maxTimeMS(2000) + 1;
+
+    // The rating counts every match, but the history only lists matches of
+    // leagues the viewer can see
+    const isListed = await loadListedCheck([...new Set(rating.history.map(h => h.leagueId.toString()))], req.user);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ...rating,
+        rank,
+        // Most recent first
+        history: rating.history.filter(h => isListed(h.leagueId)).reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Get rating error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch rating'
+    });
+  }
+};
+
+// @desc    Global rating leaderboard
+// @route   GET /api/users/rankings
+// @access  Public
+const getRankings = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const minMatches = Math.max(parseInt(req.query.minMatches) || 0, 0);
+
+    const ratings = await Rating.find({ matchesPlayed: { $gte: minMatches } })
+      .select('-history')
+      .sort({ rating: -1 })
+      .limit(limit)
+      .populate('userId', 'userCode username settings.profileImageUrl')
+      .lean()
+      .maxTimeMS(5000);
+
+    res.json({
+      success: true,
+      data: ratings.map((rating, index) => ({
+        rank: index + 1,
+        user: rating.userId,
+        rating: rating.rating,
+        peakRating: rating.peakRating,
+        matchesPlayed: rating.matchesPlayed,
+        wins: rating.wins,
+        draws: rating.draws,
+        losses: rating.losses
+      }))
+    });
+  } catch (error) {
+    console.error('Get rankings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch rankings'
+    });
+  }
+};
+
+// @desc    All-time head-to-head record between two users
+// @route   GET /api/users/:a/vs/:b
+// @access  Public
+const getHeadToHead = async (req, res) => {
+  try {
+    const { a, b } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(a) || !mongoose.Types.ObjectId.isValid(b)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid user id' 
+      });
+    }
+
+    if (a === b) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Choose two different users' 
+      });
+    }
+
+    const users = await User.find({ _id: { $in: [a, b] } })
+      .select('userCode username settings.profileImageUrl')
+      .lean()
+      .maxTimeMS(2000);
+
+    const userA = users.find(u => u._id.toString() === a);
+    const userB = users.find(u => u._id.toString() === b);
+    if (!userA || !userB) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const [current, seasons] = await Promise.all([
+      League.find({ 'participants.userId': { $all: [a, b] } })
+        .select('name participants matches visibility admin waitlist.userId')
+        .lean()
+        .maxTimeMS(5000),
+      Season.find({ 'participants.userId': { $all: [a, b] } })
+        .select('leagueId name participants matches')
+        .lean()
+        .maxTimeMS(5000)
+    ]);
+    const isListed = await loadListedCheck(seasons.map(s => s.leagueId), req.user);
+    const leagues = [
+      ...current.filter(l => canListLeague(l, req.user)),
+      ...seasons.filter(s => isListed(s.leagueId)).map(seasonAsLeague)
+    ];
+
+    res.json({
+      success: true,
+      data: {
+        userA,
+        userB,
+        ...buildHeadToHead(userA._id, userB._id, leagues)
+      }
+    });
+  } catch (error) {
+    console.error('Get head-to-head error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch head-to-head record'
+    });
+  }
+};
+
+export {
+  getUserCareer,
+  getHeadToHead,
+  getUserRating,
+  getRankings
+};
@@ -68,6 +68,33 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Like protect, but lets signed-out requests through without req.user. Used
+// on public reads that show more to members, such as private leagues.
+const optionalAuth = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies?.token) {
+      token = req.cookies.token;
+    }
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+      req.user = await User.findById(decoded.id)
+        .select('-password')
+        .lean()
+        .maxTimeMS(3000);
+    }
+  } catch (error) {
+    // An invalid or expired token reads as signed out
+    req.user = null;
+  }
+
+  next();
+};
+
 const generateToken = (id, role) => {
   return jwt.sign(
     { id, role }, 
@@ -105,4 +132,4 @@ const adminOnly = (req, res, next) => {
   }
 };
 
-export { protect, generateToken, adminOnly };
\ No newline at end of file
+export { protect, optionalAuth, generateToken, adminOnly };
\ No newline at end of file
@@ -0,0 +1,29 @@
+import express from 'express';
+import { MAX_EVIDENCE_BYTES } from '../utils/evidence.js';
+
+// Read the request body as a raw buffer of any content type so the
+// controller can reject non-images with a clear message
+const rawEvidence = express.raw({
+  type: () => true,
+  limit: MAX_EVIDENCE_BYTES
+});
+
+const evidenceUpload = (req, res, next) => {
+  rawEvidence(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ 
+        success: false, 
+        message: `Evidence images must be ${MAX_EVIDENCE_BYTES / (1024 * 1024)}MB or smaller` 
+      });
+    }
+
+    return res.status(error.status || 400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  });
+};
+
+export { evidenceUpload };
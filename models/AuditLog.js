@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// Append-only record of result entries and corrections. Entries can be
+// created but never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  leagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true, index: true },
+  matchId: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  action: {
+    type: String,
+    enum: [
+      'result_entered',
+      'result_corrected',
+      'result_confirmed',
+      'dispute_resolved',
+      'result_reverted',
+      'result_voided',
+      // Manual table edits, kept for entries written before standings were
+      // only computed from results
+      'standings_updated'
+    ],
+    required: true
+  },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  previous: { type: mongoose.Schema.Types.Mixed, default: null },
+  next: { type: mongoose.Schema.Types.Mixed, default: null },
+  reason: { type: String, default: '' },
+  revertOf: { type: mongoose.Schema.Types.ObjectId, ref: 'AuditLog', default: null },
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const rejectChange = function(next) {
+  next(new Error("Audit log entries cannot be changed or deleted"));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: true, query: true }, rejectChange);
+});
+
+auditLogSchema.pre('bulkWrite', rejectChange);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// One league of the competition; tier 1 is the top division
+const divisionSchema = new mongoose.Schema({
+  leagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true },
+  tier: { type: Number, required: true },
+}, { _id: false });
+
+// Play-off between the upper division's team just above the automatic
+// relegation places and the lower division's team just below the automatic
+// promotion places. The winner plays in the upper division next season.
+const playoffSchema = new mongoose.Schema({
+  seasonNumber: { type: Number, required: true },
+  upperLeagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true },
+  lowerLeagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true },
+  homeTeam: { type: String, required: true }, // upper division team
+  awayTeam: { type: String, required: true }, // lower division team
+  homeGoals: { type: Number, default: 0 },
+  awayGoals: { type: Number, default: 0 },
+  forfeitedBy: { type: String, enum: ['', 'home', 'away'], default: '' },
+  extraTime: {
+    played: { type: Boolean, default: false },
+    homeGoals: { type: Number, default: 0 },
+    awayGoals: { type: Number, default: 0 }
+  },
+  penalties: {
+    played: { type: Boolean, default: false },
+    homeGoals: { type: Number, default: 0 },
+    awayGoals: { type: Number, default: 0 }
+  },
+  played: { type: Boolean, default: false },
+  playedAt: { type: Date },
+  winner: { type: String, enum: ['', 'home', 'away'], default: '' },
+});
+
+// A team moved between divisions at a season rollover
+const movementSchema = new mongoose.Schema({
+  seasonNumber: { type: Number, required: true }, // season the movement was earned in
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  teamName: { type: String, required: true },
+  fromLeagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true },
+  toLeagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true },
+  direction: { type: String, enum: ['promoted', 'relegated'], required: true },
+  via: { type: String, enum: ['automatic', 'playoff'], default: 'automatic' },
+  position: { type: Number }, // final position in the division it left
+  movedAt: { type: Date, default: Date.now },
+});
+
+const competitionSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: { type: String, default: '' },
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  divisions: [divisionSchema],
+  // Teams swapped automatically between neighbouring divisions every season
+  promotionSlots: { type: Number, default: 1, min: 0 },
+  // Extra places decided by play-offs after the automatic ones
+  playoffSlots: { type: Number, default: 0, min: 0 },
+  seasonNumber: { type: Number, default: 1 },
+  playoffs: [playoffSchema],
+  movements: [movementSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+competitionSchema.index({ 'divisions.leagueId': 1 });
+
+module.exports = mongoose.model("Competition", competitionSchema);
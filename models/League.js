@@ -1,7 +1,13 @@
 const mongoose = require("mongoose");
+const { getKnockoutFinal, getKnockoutWinnerSide } = require("../utils/bracket");
+const { TIEBREAKERS, rankLeague, drawLots } = require("../utils/standings");
+const { findTeamRow, findTeamOwner, assignMissingTeamIds } = require("../utils/teams");
+const { generateJoinCode } = require("../utils/invites");
+const { VISIBILITIES } = require("../utils/visibility");
 
 const teamSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  teamId: { type: mongoose.Schema.Types.ObjectId }, // participants.teamId
   logo: { type: String, default: "" },
   played: { type: Number, default: 0 },
   won: { type: Number, default: 0 },
@@ -11,26 +17,151 @@ const teamSchema = new mongoose.Schema({
   goalsAgainst: { type: Number, default: 0 },
   goalDifference: { type: Number, default: 0 },
   points: { type: Number, default: 0 },
+  seed: { type: Number, default: 0 },
+  groupName: { type: String, default: "" },
+  buchholz: { type: Number, default: 0 }, // Swiss tiebreaker: sum of opponents' points
+  fairPlayPoints: { type: Number, default: 0 }, // card deductions (negative), higher ranks first
+  drawLot: { type: Number }, // drawing of lots, lowest ranks first; set by drawLots
+  position: { type: Number, default: 0 },
+});
+
+// Goal or card. `team` is the side the event counts for; an own goal counts
+// for the side that benefits and its scorer plays for the other side.
+const eventSchema = new mongoose.Schema({
+  type: { type: String, enum: ['goal', 'yellow_card', 'red_card'], required: true },
+  team: { type: String, enum: ['home', 'away'], required: true },
+  player: { type: String, required: true },
+  assist: { type: String, default: '' },
+  minute: { type: Number, default: null },
+  ownGoal: { type: Boolean, default: false },
+});
+
+// A score reported by one of the two teams of a match
+const submissionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  side: { type: String, enum: ['home', 'away'], required: true },
+  homeGoals: { type: Number, required: true },
+  awayGoals: { type: Number, required: true },
+  extraTime: {
+    played: { type: Boolean, default: false },
+    homeGoals: { type: Number, default: 0 },
+    awayGoals: { type: Number, default: 0 },
+  },
+  penalties: {
+    played: { type: Boolean, default: false },
+    homeGoals: { type: Number, default: 0 },
+    awayGoals: { type: Number, default: 0 },
+  },
+  submittedAt: { type: Date, default: Date.now },
+});
+
+// An uploaded image backing up a match result
+const evidenceSchema = new mongoose.Schema({
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  side: { type: String, enum: ['', 'home', 'away'], default: '' }, // empty for the league admin
+  url: { type: String, required: true },
+  storageKey: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  caption: { type: String, default: '' },
+  uploadedAt: { type: Date, default: Date.now },
 });
 
 const matchSchema = new mongoose.Schema({
-  homeTeam: { type: String, required: true },
-  awayTeam: { type: String, required: true },
+  // Knockout matches keep an empty name until the feeding match is decided
+  homeTeam: { type: String, default: "" },
+  awayTeam: { type: String, default: "" },
+  homeTeamId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  awayTeamId: { type: mongoose.Schema.Types.ObjectId, default: null },
   homeGoals: { type: Number, default: 0 },
   awayGoals: { type: Number, default: 0 },
   played: { type: Boolean, default: false },
+  // Results of a withdrawn team can be voided; they stay on record but no
+  // longer count anywhere
+  voided: { type: Boolean, default: false },
   date: { type: Date, default: Date.now },
+  playedAt: { type: Date }, // when the result was first recorded
   matchNumber: { type: Number, default: 0 },
   roundNumber: { type: Number, default: 1 },
+  leg: { type: Number, default: 1 },
+  groupName: { type: String, default: "" },
+  stage: { type: String, enum: ['league', 'group', 'knockout'], default: 'league' },
+  bracketPosition: { type: Number, default: 0 },
+  isBye: { type: Boolean, default: false },
+  forfeitedBy: { type: String, enum: ['', 'home', 'away'], default: '' },
+  // Goals scored in extra time only, on top of homeGoals/awayGoals
+  extraTime: {
+    played: { type: Boolean, default: false },
+    homeGoals: { type: Number, default: 0 },
+    awayGoals: { type: Number, default: 0 },
+  },
+  // Shootout score; decides the winner but never counts as goals
+  penalties: {
+    played: { type: Boolean, default: false },
+    homeGoals: { type: Number, default: 0 },
+    awayGoals: { type: Number, default: 0 },
+  },
+  winner: { type: String, enum: ['', 'home', 'away', 'draw'], default: '' },
+  // Player-submitted results wait here until both sides agree or the admin decides
+  resultStatus: { type: String, enum: ['pending', 'submitted', 'confirmed', 'disputed'], default: 'pending' },
+  submissions: [submissionSchema],
+  evidence: [evidenceSchema],
+  events: [eventSchema],
+});
+
+const byeSchema = new mongoose.Schema({
+  teamName: { type: String, required: true },
+  teamId: { type: mongoose.Schema.Types.ObjectId },
+  roundNumber: { type: Number, required: true },
   groupName: { type: String, default: "" },
 });
 
 const participantSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   teamName: { type: String, required: true },
+  // Stable id of the team, kept through renames and replacements
+  teamId: { type: mongoose.Schema.Types.ObjectId },
   teamLogoUrl: { type: String, default: '' },
   joinedAt: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'approved' }
+  // unconfirmed: kept from the previous season but not yet confirmed for this one
+  // withdrawn: left or was removed after fixtures were generated
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'unconfirmed', 'withdrawn'], default: 'approved' },
+  // Admin decision on a join request in a league that requires approval
+  decidedAt: { type: Date },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decisionReason: { type: String, default: '' },
+  withdrawalRequestedAt: { type: Date },
+  withdrawnAt: { type: Date },
+  withdrawalPolicy: { type: String, enum: ['', 'void', 'forfeit', 'replaced'], default: '' },
+  inviteId: { type: mongoose.Schema.Types.ObjectId } // invite used to join, if any
+});
+
+// One use of an invite
+const redemptionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  teamName: { type: String, default: '' },
+  status: { type: String, enum: ['approved', 'waitlisted'], default: 'approved' },
+  redeemedAt: { type: Date, default: Date.now }
+});
+
+// Extra way into a league next to the join code. Admin invites skip approval.
+const inviteSchema = new mongoose.Schema({
+  token: { type: String, required: true },
+  teamName: { type: String, default: '' }, // pre-assigned team name
+  expiresAt: { type: Date },
+  maxUses: { type: Number, default: null }, // null means unlimited
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  redemptions: [redemptionSchema]
+});
+
+// A user waiting for a place in a full league, in join order
+const waitlistSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  teamName: { type: String, required: true },
+  teamLogoUrl: { type: String, default: '' },
+  joinedAt: { type: Date, default: Date.now }
 });
 
 const leagueSchema = new mongoose.Schema({
@@ -41,9 +172,43 @@ const leagueSchema = new mongoose.Schema({
   endDate: { type: Date, required: true },
   admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   maxParticipants: { type: Number, default: 20 },
+  requiresApproval: { type: Boolean, default: false }, // join requests wait for the admin
+  // public: listed and searchable, unlisted: by code or link only, private: members only
+  visibility: { type: String, enum: VISIBILITIES, default: 'public' },
+  format: { type: String, enum: ['league', 'knockout', 'groups', 'swiss'], default: 'league' },
+  // Group stage followed by a knockout bracket (format 'groups')
+  groupSettings: {
+    groupCount: { type: Number, default: 2 },
+    qualifiersPerGroup: { type: Number, default: 2 },
+    drawMethod: { type: String, enum: ['random', 'pots'], default: 'random' }
+  },
+  swissRounds: { type: Number, default: 0 }, // 0 = enough rounds to separate the field
+  // Scoring rules used by the standings
+  pointsSystem: {
+    win: { type: Number, default: 3 },
+    draw: { type: Number, default: 1 },
+    loss: { type: Number, default: 0 },
+    goalBonusThreshold: { type: Number, default: 0 }, // 0 = no goal bonus
+    goalBonusPoints: { type: Number, default: 0 },
+    forfeitPenalty: { type: Number, default: 0 }, // deducted from the team that forfeits
+    allowDraws: { type: Boolean, default: true }
+  },
+  // Tiebreakers applied in order after points, see utils/standings.js
+  tiebreakers: [{ type: String, enum: TIEBREAKERS }],
+  // Matchday calendar used to date generated fixtures
+  schedule: {
+    matchDays: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday ... 6 = Saturday, empty = any day
+    minRestDays: { type: Number, default: 0, min: 0 },
+    blackoutDates: [{ type: Date }]
+  },
+  legs: { type: Number, enum: [1, 2], default: 1 }, // 1 = single round-robin, 2 = home and away
   participants: [participantSchema],
+  waitlist: [waitlistSchema],
+  // Tokens are secrets, so invites are only loaded where they are needed
+  invites: { type: [inviteSchema], select: false },
   teams: [teamSchema],
   matches: [matchSchema],
+  byes: [byeSchema],
   status: { type: String, enum: ['draft', 'active', 'completed', 'cancelled'], default: 'draft' },
   joinCode: { type: String, unique: true },
   createdAt: { type: Date, default: Date.now },
@@ -51,26 +216,45 @@ const leagueSchema = new mongoose.Schema({
   // Winner celebration fields
   winner: {
     teamName: { type: String, default: '' },
+    teamId: { type: mongoose.Schema.Types.ObjectId },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     teamLogo: { type: String, default: '' },
-    awardedAt: { type: Date }
+    awardedAt: { type: Date },
+    automatic: { type: Boolean, default: false } // crowned from the table, cleared if results change
   },
   isCelebrating: { type: Boolean, default: false },
   celebrationEnds: { type: Date },
   previousWinners: [{
     teamName: { type: String },
+    teamId: { type: mongoose.Schema.Types.ObjectId },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     teamLogo: { type: String },
     awardedAt: { type: Date },
-    season: { type: String }
-  }]
+    season: { type: String },
+    seasonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Season' } // archived season record
+  }],
+  seasonNumber: { type: Number, default: 1 }
 });
 
+// Join code not used by any other league, retried on the rare collision
+leagueSchema.statics.generateUniqueJoinCode = async function() {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = generateJoinCode();
+    if (!(await this.exists({ joinCode: code }))) return code;
+  }
+  throw new Error("Could not generate a unique join code");
+};
+
 // Generate join code before saving
-leagueSchema.pre('save', function(next) {
+leagueSchema.pre('save', async function() {
   if (!this.joinCode) {
-    this.joinCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.joinCode = await this.constructor.generateUniqueJoinCode();
   }
+});
+
+leagueSchema.pre('save', function(next) {
+  assignMissingTeamIds(this);
+  drawLots(this.teams);
   
   // Auto-update status based on dates only once matches exist
   const now = new Date();
@@ -88,18 +272,22 @@ leagueSchema.pre('save', function(next) {
   
   // Auto-detect winner when league completes
   if (this.status === 'completed' && !this.winner.teamName && this.teams && this.teams.length > 0) {
-    const sortedTeams = [...this.teams].sort((a, b) => {
-      const pointsDiff = b.points - a.points;
-      if (pointsDiff !== 0) return pointsDiff;
-      return b.goalDifference - a.goalDifference;
-    });
+    const sortedTeams = rankLeague(this)[0].teams;
+
+    // Knockout cups and group-stage tournaments only have a winner once the final is decided
+    let winnerTeam = sortedTeams[0].points > 0 ? sortedTeams[0] : null;
+    if (this.format === 'knockout' || this.format === 'groups') {
+      const final = getKnockoutFinal(this.matches);
+      const side = final ? getKnockoutWinnerSide(final) : null;
+      winnerTeam = side ? findTeamRow(this.teams, final[`${side}TeamId`], final[`${side}Team`]) : null;
+    }
     
-    if (sortedTeams.length > 0 && sortedTeams[0].points > 0) {
-      const winnerTeam = sortedTeams[0];
-      const winnerParticipant = this.participants.find(p => p.teamName === winnerTeam.name);
+    if (winnerTeam) {
+      const winnerParticipant = findTeamOwner(this, winnerTeam.teamId);
       
       this.winner = {
         teamName: winnerTeam.name,
+        teamId: winnerTeam.teamId,
         userId: winnerParticipant?.userId,
         teamLogo: winnerTeam.logo || winnerParticipant?.teamLogoUrl || '',
         awardedAt: new Date()
@@ -111,6 +299,7 @@ leagueSchema.pre('save', function(next) {
       // Add to previous winners
       this.previousWinners.push({
         teamName: winnerTeam.name,
+        teamId: winnerTeam.teamId,
         userId: winnerParticipant?.userId,
         teamLogo: winnerTeam.logo || winnerParticipant?.teamLogoUrl || '',
         awardedAt: new Date(),
@@ -132,4 +321,7 @@ leagueSchema.virtual('canJoin').get(function() {
   return this.status === 'draft' && this.participants.length < this.maxParticipants;
 });
 
+leagueSchema.index({ 'invites.token': 1 });
+leagueSchema.index({ visibility: 1 });
+
 module.exports = mongoose.model("League", leagueSchema);
\ No newline at end of file
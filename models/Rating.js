@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import League from './League.js';
+import Season from './Season.js';
+import { rewindRatings, computeRatings } from '../utils/ratings.js';
+
+const ratingHistorySchema = new mongoose.Schema({
+  matchId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  leagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true },
+  opponentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  result: { type: String, enum: ['W', 'D', 'L'] },
+  change: { type: Number, default: 0 },
+  rating: { type: Number, required: true },
+  playedAt: { type: Date }
+}, { _id: false });
+
+const ratingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  rating: { type: Number, required: true, index: true },
+  peakRating: { type: Number, required: true },
+  matchesPlayed: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  draws: { type: Number, default: 0 },
+  losses: { type: Number, default: 0 },
+  history: [ratingHistorySchema]
+}, { 
+  timestamps: true
+});
+
+// Played matches from `from` on; ratings use the result time, or the match
+// date for results from before it was recorded
+const playedSince = (from) => ({
+  matches: {
+    $elemMatch: {
+      played: true,
+      $or: [
+        { playedAt: { $gte: from } },
+        { playedAt: null, date: { $gte: from } }
+      ]
+    }
+  }
+});
+
+// Bring ratings up to date with the results played from `from` (a Date) on.
+// Every rating is rewound to where it stood before then and only the leagues
+// and archived seasons with matches since are replayed, so a new result costs
+// one match and a correction the matches after it. Without `from` every
+// rating is rebuilt from the full history.
+ratingSchema.statics.rebuild = async function(from = null) {
+  const filter = from ? playedSince(from) : { 'matches.played': true };
+  const [leagues, seasons] = await Promise.all([
+    League.find(filter)
+      .select('participants matches')
+      .lean(),
+    Season.find(filter)
+      .select('leagueId participants matches')
+      .lean()
+  ]);
+  const sources = [...leagues, ...seasons];
+
+  // Everyone who may play in the replayed matches, and everyone whose
+  // history has to be cut back
+  const previous = from
+    ? await this.find({
+      $or: [
+        { userId: { $in: sources.flatMap(s => s.participants.map(p => p.userId)) } },
+        { 'history.playedAt': { $gte: from } }
+      ]
+    }).lean()
+    : [];
+
+  const rows = computeRatings(sources, { from, ratings: from ? rewindRatings(previous, from) : [] });
+
+  if (rows.length) {
+    await this.bulkWrite(rows.map(row => ({
+      replaceOne: {
+        filter: { userId: row.userId },
+        replacement: row,
+        upsert: true
+      }
+    })));
+  }
+
+  // Players left without a rated match
+  const rated = rows.map(row => row.userId.toString());
+  if (from) {
+    const unrated = previous.map(row => row.userId).filter(id => !rated.includes(id.toString()));
+    if (unrated.length) await this.deleteMany({ userId: { $in: unrated } });
+  } else {
+    await this.deleteMany({ userId: { $nin: rated } });
+  }
+
+  return rows.length;
+};
+
+// Rebuilds run one at a time and outside the request that asked for them, so
+// results saved close together cannot start rebuilds that overwrite each
+// other. Requests made while a rebuild runs are folded into one more rebuild
+// after it, from the earliest change any of them asked for.
+let runningRebuild = null;
+let rebuildRequested = false;
+let rebuildFrom = null;
+
+const earliest = (a, b) => (a && b ? new Date(Math.min(a, b)) : null);
+
+ratingSchema.statics.scheduleRebuild = function(from = null) {
+  rebuildFrom = rebuildRequested ? earliest(rebuildFrom, from) : from;
+  rebuildRequested = true;
+  if (runningRebuild) return runningRebuild;
+
+  runningRebuild = (async () => {
+    try {
+      while (rebuildRequested) {
+        const since = rebuildFrom;
+        rebuildRequested = false;
+        rebuildFrom = null;
+        const count = await this.rebuild(since);
+        console.log(`📈 Ratings updated for ${count} players`);
+      }
+    } catch (err) {
+      console.error('❌ Error rebuilding ratings:', err);
+    } finally {
+      runningRebuild = null;
+    }
+  })();
+  return runningRebuild;
+};
+
+export default mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const League = require("./League");
+
+// Subdocument schemas are shared with the league so archived tables and
+// matches keep exactly the shape they had while the season was running
+const leagueSchema = League.schema;
+
+// A finished season of a league, archived when a new season starts
+const seasonSchema = new mongoose.Schema({
+  leagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'League', required: true, index: true },
+  seasonNumber: { type: Number, required: true },
+  label: { type: String, required: true }, // e.g. "2025-2026", matches previousWinners.season
+  name: { type: String, required: true },
+  format: { type: String, default: 'league' },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  pointsSystem: { type: mongoose.Schema.Types.Mixed },
+  tiebreakers: [{ type: String }],
+  participants: [leagueSchema.path('participants').schema],
+  teams: [leagueSchema.path('teams').schema], // final table, in table order
+  matches: [leagueSchema.path('matches').schema],
+  byes: [leagueSchema.path('byes').schema],
+  winner: {
+    teamName: { type: String, default: '' },
+    teamId: { type: mongoose.Schema.Types.ObjectId },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    teamLogo: { type: String, default: '' },
+    awardedAt: { type: Date }
+  },
+  archivedAt: { type: Date, default: Date.now },
+});
+
+seasonSchema.index({ leagueId: 1, seasonNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model("Season", seasonSchema);
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const { protect, optionalAuth } = require("../middleware/authMiddleware");
+const {
+  createCompetition,
+  getCompetitions,
+  getCompetition,
+  updateCompetition,
+  createPlayoffs,
+  updatePlayoffResult,
+  rolloverCompetition,
+  getMovements
+} = require("../controllers/competitionController");
+
+// Competition routes
+router.post("/", protect, createCompetition);
+router.get("/", optionalAuth, getCompetitions);
+router.get("/:id", optionalAuth, getCompetition);
+router.put("/:id", protect, updateCompetition);
+
+// Promotion, relegation and play-offs
+router.post("/:id/playoffs", protect, createPlayoffs);
+router.put("/:id/playoffs/:playoffId", protect, updatePlayoffResult);
+router.post("/:id/new-season", protect, rolloverCompetition);
+router.get("/:id/movements", optionalAuth, getMovements);
+
+module.exports = router;
\ No newline at end of file
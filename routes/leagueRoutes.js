@@ -1,26 +1,60 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, optionalAuth } = require("../middleware/authMiddleware");
+const { evidenceUpload } = require("../middleware/uploadMiddleware");
 const {
   createLeague,
   getLeagues,
   getMyLeagues,
   updateLeague,
   deleteLeague,
-  updateStandings,
   generateMatches,
+  generateNextRound,
+  postponeRound,
   updateMatchResult,
+  submitMatchResult,
+  resolveMatchDispute,
+  uploadMatchEvidence,
+  getMatchEvidence,
+  getMatchEvidenceFile,
+  updateMatchEvents,
+  getLeaders,
+  getMatchHistory,
+  revertMatchResult,
   joinLeague,
   getLeagueByCode,
   bulkJoinLeague,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  getWaitlist,
+  leaveWaitlist,
+  leaveLeague,
+  removeParticipant,
+  replaceParticipant,
+  updateMyTeam,
+  updateTeam,
+  rotateJoinCode,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInviteByToken,
   getCelebratingWinners,
   setLeagueWinner,
-  getPreviousWinners
+  getPreviousWinners,
+  startNewSeason,
+  confirmParticipation,
+  getSeasons,
+  getSeason,
+  getBracket,
+  getStandings,
+  getStandingsHistory,
+  getScenarios
 } = require("../controllers/leagueController");
 
 // League routes
 router.post("/", protect, createLeague);
-router.get("/", getLeagues);
+router.get("/", optionalAuth, getLeagues);
 router.get("/my-leagues", protect, getMyLeagues);
 router.put("/:id", protect, updateLeague);
 router.delete("/:id", protect, deleteLeague);
@@ -28,16 +62,51 @@ router.post("/:leagueId/bulk-join", protect, bulkJoinLeague);
 
 // Join and match generation
 router.post("/join", protect, joinLeague);
-router.get("/code/:code", getLeagueByCode);
+router.get("/code/:code", optionalAuth, getLeagueByCode);
+router.get("/invite/:token", getInviteByToken);
+router.get("/:id/requests", protect, getJoinRequests);
+router.put("/:id/requests/:userId/approve", protect, approveJoinRequest);
+router.put("/:id/requests/:userId/reject", protect, rejectJoinRequest);
+router.get("/:id/waitlist", protect, getWaitlist);
+router.delete("/:id/waitlist", protect, leaveWaitlist);
+router.post("/:id/leave", protect, leaveLeague);
+router.delete("/:id/participants/:userId", protect, removeParticipant);
+router.post("/:id/participants/:userId/replace", protect, replaceParticipant);
+router.put("/:id/my-team", protect, updateMyTeam);
+router.put("/:id/teams/:teamId", protect, updateTeam);
+router.post("/:id/join-code/rotate", protect, rotateJoinCode);
+router.post("/:id/invites", protect, createInvite);
+router.get("/:id/invites", protect, getInvites);
+router.delete("/:id/invites/:inviteId", protect, revokeInvite);
 router.post("/:id/generate-matches", protect, generateMatches);
+router.post("/:id/next-round", protect, generateNextRound);
+router.post("/:id/rounds/:roundNumber/postpone", protect, postponeRound);
 
 // Extended
-router.put("/:id/standings", protect, updateStandings);
 router.put("/match/:matchId/result", protect, updateMatchResult);
+router.post("/match/:matchId/submit", protect, submitMatchResult);
+router.put("/match/:matchId/resolve", protect, resolveMatchDispute);
+router.post("/match/:matchId/evidence", protect, evidenceUpload, uploadMatchEvidence);
+router.get("/match/:matchId/evidence", optionalAuth, getMatchEvidence);
+router.get("/match/:matchId/evidence/:evidenceId/file", optionalAuth, getMatchEvidenceFile);
+router.put("/match/:matchId/events", protect, updateMatchEvents);
+router.get("/match/:matchId/history", optionalAuth, getMatchHistory);
+router.post("/match/:matchId/revert", protect, revertMatchResult);
+router.get("/:id/standings", optionalAuth, getStandings);
+router.get("/:id/standings/history", optionalAuth, getStandingsHistory);
+router.get("/:id/scenarios", optionalAuth, getScenarios);
+router.get("/:id/bracket", optionalAuth, getBracket);
+router.get("/:id/leaders", optionalAuth, getLeaders);
 
 // Winner celebration routes
 router.get("/winners/celebrating", getCelebratingWinners);
 router.post("/:leagueId/set-winner", protect, setLeagueWinner);
-router.get("/:leagueId/previous-winners", getPreviousWinners);
+router.get("/:leagueId/previous-winners", optionalAuth, getPreviousWinners);
+
+// Seasons
+router.post("/:id/new-season", protect, startNewSeason);
+router.post("/:id/confirm", protect, confirmParticipation);
+router.get("/:id/seasons", optionalAuth, getSeasons);
+router.get("/:id/seasons/:seasonId", optionalAuth, getSeason);
 
 module.exports = router;
\ No newline at end of file
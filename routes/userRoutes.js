@@ -0,0 +1,18 @@
+import express from 'express';
+import { 
+  getUserCareer, 
+  getHeadToHead, 
+  getUserRating, 
+  getRankings 
+} from '../controllers/userController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public profile routes
+router.get('/rankings', getRankings);
+router.get('/:id/career', optionalAuth, getUserCareer);
+router.get('/:id/rating', optionalAuth, getUserRating);
+router.get('/:a/vs/:b', optionalAuth, getHeadToHead);
+
+export default router;
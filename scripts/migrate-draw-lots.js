@@ -0,0 +1,50 @@
+// One-off migration: draw and store the lot of every table row that has none.
+// Rows saved before lots were stored got a new random lot each time they were
+// loaded, so tied teams could swap places between requests.
+//
+// Usage: node scripts/migrate-draw-lots.js [--dry-run]
+//
+// Documents are written with updateOne so the league save hook does not run
+// on old leagues. Rows that already have a lot keep it, so it is safe to run
+// more than once.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import League from '../models/League.js';
+import Season from '../models/Season.js';
+import { drawLots } from '../utils/standings.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const missingLot = { teams: { $elemMatch: { drawLot: { $exists: false } } } };
+
+// Draw the missing lots of every document of `Model`, returns how many changed
+const drawMissingLots = async (Model) => {
+  let count = 0;
+  for await (const doc of Model.find(missingLot).select('teams').lean().cursor()) {
+    drawLots(doc.teams);
+    if (!dryRun) {
+      await Model.updateOne({ _id: doc._id }, { $set: { teams: doc.teams } });
+    }
+    count++;
+  }
+  return count;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const leagueCount = await drawMissingLots(League);
+  const seasonCount = await drawMissingLots(Season);
+
+  console.log(`${dryRun ? '🔍 Dry run: would draw lots for' : '✅ Drew lots for'} ${leagueCount} leagues and ${seasonCount} archived seasons`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Draw lot migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
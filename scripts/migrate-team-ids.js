@@ -0,0 +1,60 @@
+// One-off migration: give every team a stable teamId and point existing
+// matches, tables, byes and winners at it. Archived seasons get the same ids
+// as the league's current teams where the names match.
+//
+// Usage: node scripts/migrate-team-ids.js [--dry-run]
+//
+// Documents are written with updateOne so the league save hook (status and
+// winner detection) does not run on old leagues. Safe to run more than once.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import League from '../models/League.js';
+import Season from '../models/Season.js';
+import { assignTeamIds } from '../utils/teams.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const TEAM_FIELDS = ['participants', 'teams', 'matches', 'byes', 'winner', 'previousWinners'];
+
+const pick = (doc, fields) =>
+  Object.fromEntries(fields.filter(field => doc[field] !== undefined).map(field => [field, doc[field]]));
+
+const migrate = async () => {
+  await connectDB();
+
+  let leagueCount = 0;
+  let seasonCount = 0;
+
+  for await (const league of League.find().lean().cursor()) {
+    assignTeamIds(league);
+    if (!dryRun) {
+      await League.updateOne({ _id: league._id }, { $set: pick(league, TEAM_FIELDS) });
+    }
+    leagueCount++;
+
+    const idsByName = new Map(league.participants.map(p => [p.teamName, p.teamId]));
+    const seasons = await Season.find({ leagueId: league._id }).lean();
+    for (const season of seasons) {
+      season.participants.forEach(p => {
+        if (!p.teamId && idsByName.has(p.teamName)) p.teamId = idsByName.get(p.teamName);
+      });
+      assignTeamIds(season);
+      if (!dryRun) {
+        await Season.updateOne({ _id: season._id }, { $set: pick(season, ['participants', 'teams', 'matches', 'byes', 'winner']) });
+      }
+      seasonCount++;
+    }
+  }
+
+  console.log(`${dryRun ? '🔍 Dry run: would migrate' : '✅ Migrated'} ${leagueCount} leagues and ${seasonCount} archived seasons`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Team id migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,27 @@
+// Rebuild every player rating from the full match history of all leagues and
+// their archived seasons. Results normally update ratings from the changed
+// match on; run this after importing matches, or once to bring ratings stored
+// before they were kept to one decimal per match in line with that.
+//
+// Usage: node scripts/rebuild-ratings.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import Rating from '../models/Rating.js';
+
+dotenv.config();
+
+const rebuild = async () => {
+  await connectDB();
+
+  const count = await Rating.rebuild();
+
+  console.log(`✅ Rebuilt ratings for ${count} players`);
+};
+
+rebuild()
+  .catch(error => {
+    console.error('❌ Rating rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
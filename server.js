@@ -153,6 +153,26 @@ const broadcastToUser = (userId, message) => {
   }
 };
 
+const broadcastToUsers = (userIds, message) => {
+  const messageString = JSON.stringify(message);
+  let count = 0;
+
+  userIds.forEach((userId) => {
+    const ws = connectedClients.get(userId.toString());
+    if (ws && ws.readyState === ws.OPEN) {
+      try {
+        ws.send(messageString);
+        count++;
+      } catch (err) {
+        console.error(`Broadcast error to ${userId}:`, err);
+        connectedClients.delete(userId.toString());
+      }
+    }
+  });
+
+  console.log(`👥 Broadcast sent to ${count} of ${userIds.length} users`);
+};
+
 // ----------------------
 // PERFORMANCE MIDDLEWARE
 // ----------------------
@@ -226,10 +246,12 @@ app.use((req, res, next) => {
   next();
 });
 
-// Cache GET requests (skip for auth routes)
+// Cache GET requests (skip for auth routes). Signed-in responses can include
+// private leagues, so shared caches only keep anonymous ones.
 app.use((req, res, next) => {
   if (req.method === 'GET' && !req.path.includes('/api/auth')) {
-    res.set('Cache-Control', 'public, max-age=300');
+    res.set('Cache-Control', req.headers.authorization ? 'private, no-cache' : 'public, max-age=300');
+    res.vary('Authorization');
   }
   next();
 });
@@ -240,6 +262,8 @@ app.use((req, res, next) => {
 
 app.use('/api/auth', (await import('./routes/authRoutes.js')).default);
 app.use('/api/leagues', (await import('./routes/leagueRoutes.js')).default);
+app.use('/api/users', (await import('./routes/userRoutes.js')).default);
+app.use('/api/competitions', (await import('./routes/competitionRoutes.js')).default);
 
 // Optimized health endpoints
 app.get('/api/health', (req, res) => {
@@ -330,4 +354,4 @@ const shutDown = () => {
 process.on('SIGTERM', shutDown);
 process.on('SIGINT', shutDown);
 
-export { broadcastToAll, broadcastToUser };
\ No newline at end of file
+export { broadcastToAll, broadcastToUser, broadcastToUsers };
\ No newline at end of file
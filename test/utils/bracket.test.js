@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  nextPowerOfTwo,
+  getRoundName,
+  orderSeeds,
+  getKnockoutFinal,
+  getKnockoutWinner,
+  advanceKnockoutWinner,
+  buildKnockoutBracket
+} = require("../../utils/bracket");
+
+const teams = (count) => Array.from({ length: count }, (_, i) => `T${i + 1}`);
+
+const roundMatches = (matches, round) => matches.filter(m => m.roundNumber === round);
+
+test("brackets grow to the next power of two", () => {
+  assert.equal(nextPowerOfTwo(2), 2);
+  assert.equal(nextPowerOfTwo(5), 8);
+  assert.equal(nextPowerOfTwo(8), 8);
+  assert.equal(nextPowerOfTwo(9), 16);
+});
+
+test("rounds are named from the final backwards", () => {
+  assert.equal(getRoundName(4, 4), 'Final');
+  assert.equal(getRoundName(3, 4), 'Semi-finals');
+  assert.equal(getRoundName(2, 4), 'Quarter-finals');
+  assert.equal(getRoundName(1, 4), 'Round of 16');
+});
+
+test("manual seeding must list every team once", () => {
+  const names = teams(4);
+  assert.deepEqual(orderSeeds(names, { seedingMethod: 'manual', seeds: ['T4', 'T3', 'T2', 'T1'] }).seeded, ['T4', 'T3', 'T2', 'T1']);
+  assert.ok(orderSeeds(names, { seedingMethod: 'manual', seeds: ['T1', 'T1', 'T2', 'T3'] }).error);
+  assert.ok(orderSeeds(names, { seedingMethod: 'manual', seeds: ['T1', 'T2', 'T3', 'T5'] }).error);
+  assert.ok(orderSeeds(names, { seedingMethod: 'manual', seeds: ['T1'] }).error);
+  assert.ok(orderSeeds(names, { seedingMethod: 'alphabetical' }).error);
+  assert.deepEqual(orderSeeds(names, { seedingMethod: 'joinOrder' }).seeded, names);
+});
+
+test("a full bracket keeps the top two seeds apart until the final", () => {
+  const { matches, size, totalRounds } = buildKnockoutBracket(teams(8));
+  assert.equal(size, 8);
+  assert.equal(totalRounds, 3);
+  assert.equal(matches.length, 7);
+
+  const first = roundMatches(matches, 1);
+  assert.deepEqual(first.map(m => [m.homeTeam, m.awayTeam]), [
+    ['T1', 'T8'], ['T4', 'T5'], ['T2', 'T7'], ['T3', 'T6']
+  ]);
+  assert.ok(first.every(m => !m.isBye && !m.played));
+  assert.ok(roundMatches(matches, 2).every(m => m.homeTeam === '' && m.awayTeam === ''));
+});
+
+test("missing seeds become byes that put the top seeds into round two", () => {
+  const { matches } = buildKnockoutBracket(teams(6));
+  const byes = matches.filter(m => m.isBye);
+  assert.deepEqual(byes.map(m => m.homeTeam), ['T1', 'T2']);
+  assert.ok(byes.every(m => m.played && m.awayTeam === ''));
+
+  const second = roundMatches(matches, 2);
+  assert.equal(second[0].homeTeam, 'T1');
+  assert.equal(second[1].homeTeam, 'T2');
+});
+
+test("match numbers continue from startMatchNumber", () => {
+  const { matches } = buildKnockoutBracket(teams(4), { startMatchNumber: 13 });
+  assert.deepEqual(matches.map(m => m.matchNumber), [13, 14, 15]);
+});
+
+test("winners move on to their slot and a corrected draw empties it", () => {
+  const { matches } = buildKnockoutBracket(teams(4));
+  const [semi1, semi2] = roundMatches(matches, 1);
+
+  Object.assign(semi1, { played: true, homeGoals: 0, awayGoals: 2 });
+  Object.assign(semi2, { played: true, homeGoals: 1, awayGoals: 0 });
+  advanceKnockoutWinner(matches, semi1);
+  advanceKnockoutWinner(matches, semi2);
+
+  const final = getKnockoutFinal(matches);
+  assert.equal(final.homeTeam, 'T4');
+  assert.equal(final.awayTeam, 'T2');
+
+  Object.assign(semi1, { awayGoals: 0 });
+  advanceKnockoutWinner(matches, semi1);
+  assert.equal(final.homeTeam, '');
+});
+
+test("a shootout decides a drawn knockout match", () => {
+  const { matches } = buildKnockoutBracket(teams(2));
+  const final = getKnockoutFinal(matches);
+  Object.assign(final, {
+    played: true,
+    homeGoals: 1,
+    awayGoals: 1,
+    penalties: { played: true, homeGoals: 3, awayGoals: 4 }
+  });
+  assert.equal(getKnockoutWinner(final), 'T2');
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { seasonAsLeague, buildCareer, buildHeadToHead } = require("../../utils/career");
+
+const participant = (userId, teamName, extra = {}) => ({
+  userId,
+  teamName,
+  teamId: `id-${teamName}`,
+  status: 'approved',
+  ...extra
+});
+
+const match = (homeTeam, awayTeam, homeGoals, awayGoals, date, extra = {}) => ({
+  _id: `${homeTeam}-${awayTeam}-${date}`,
+  homeTeam,
+  awayTeam,
+  homeTeamId: `id-${homeTeam}`,
+  awayTeamId: `id-${awayTeam}`,
+  homeGoals,
+  awayGoals,
+  played: true,
+  date: new Date(date),
+  roundNumber: 1,
+  ...extra
+});
+
+const league = (extra = {}) => ({
+  _id: 'league-1',
+  name: 'Sunday League',
+  status: 'active',
+  format: 'league',
+  startDate: new Date('2024-01-01'),
+  endDate: new Date('2024-12-31'),
+  participants: [participant('u1', 'Reds'), participant('u2', 'Blues')],
+  teams: [
+    { name: 'Reds', teamId: 'id-Reds', position: 1 },
+    { name: 'Blues', teamId: 'id-Blues', position: 2 }
+  ],
+  matches: [
+    match('Reds', 'Blues', 2, 0, '2024-02-01'),
+    match('Blues', 'Reds', 1, 1, '2024-03-01'),
+    match('Reds', 'Blues', 0, 0, '2024-04-01', { played: false })
+  ],
+  winner: { teamName: '' },
+  previousWinners: [],
+  ...extra
+});
+
+test("a career counts the user's played matches in every league", () => {
+  const career = buildCareer('u1', [league()]);
+  assert.equal(career.summary.leagues, 1);
+  assert.equal(career.summary.played, 2);
+  assert.equal(career.summary.won, 1);
+  assert.equal(career.summary.drawn, 1);
+  assert.equal(career.summary.goalsFor, 3);
+  assert.equal(career.summary.winRate, 50);
+  assert.deepEqual(career.form.map(f => f.result), ['D', 'W']);
+  assert.equal(career.leagues[0].teamName, 'Reds');
+  assert.equal(career.leagues[0].position, 1);
+});
+
+test("leagues the user never played in are left out", () => {
+  for (const status of ['pending', 'rejected', 'unconfirmed']) {
+    const entry = league({ participants: [participant('u1', 'Reds', { status }), participant('u2', 'Blues')] });
+    const career = buildCareer('u1', [entry, league({ _id: 'league-2' })]);
+    assert.equal(career.summary.leagues, 1, status);
+    assert.deepEqual(career.leagues.map(l => l.leagueId), ['league-2'], status);
+  }
+});
+
+test("a withdrawn player keeps the matches played before the withdrawal", () => {
+  const shared = league({
+    participants: [
+      participant('u1', 'Reds', { status: 'withdrawn', withdrawnAt: new Date('2024-02-15') }),
+      participant('u3', 'Reds'),
+      participant('u2', 'Blues')
+    ]
+  });
+
+  const before = buildCareer('u1', [shared]);
+  assert.equal(before.summary.played, 1);
+  assert.equal(before.summary.won, 1);
+  assert.equal(before.leagues[0].position, null);
+
+  const after = buildCareer('u3', [shared]);
+  assert.equal(after.summary.played, 1);
+  assert.equal(after.summary.drawn, 1);
+  assert.equal(after.leagues[0].position, 1);
+});
+
+test("a title archived with its season is only counted once", () => {
+  const winner = { teamName: 'Reds', teamId: 'id-Reds', userId: 'u1', awardedAt: new Date('2024-12-01') };
+  const season = seasonAsLeague({
+    _id: 'season-1',
+    leagueId: 'league-1',
+    ...league({ status: 'completed', winner })
+  });
+  const current = league({
+    previousWinners: [{ ...winner, season: '2024-2024', seasonId: 'season-1' }]
+  });
+
+  const career = buildCareer('u1', [current, season]);
+  assert.equal(career.summary.titles, 1);
+  assert.equal(career.summary.leagues, 2);
+});
+
+test("head-to-head records both players' results against each other", () => {
+  const record = buildHeadToHead('u1', 'u2', [league()]);
+  assert.equal(record.meetings, 2);
+  assert.equal(record.winsA, 1);
+  assert.equal(record.winsB, 0);
+  assert.equal(record.draws, 1);
+  assert.equal(record.goalsA, 3);
+  assert.equal(record.goalsB, 1);
+  assert.equal(record.biggestWinA.margin, 2);
+  assert.equal(record.biggestWinB, null);
+});
+
+test("head-to-head ignores players who never met", () => {
+  const record = buildHeadToHead('u1', 'u3', [league()]);
+  assert.equal(record.meetings, 0);
+});
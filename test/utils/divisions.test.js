@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getFinalTable,
+  getDivisionSizeError,
+  getPlayoffPairs,
+  getBoundaryMovements,
+  getDivisionZones
+} = require("../../utils/divisions");
+
+// Division table of `count` teams named prefix1..prefixN, best team first
+const division = (prefix, count) =>
+  Array.from({ length: count }, (_, i) => ({ name: `${prefix}${i + 1}`, position: i + 1, points: count - i }));
+
+const settings = { promotionSlots: 1, playoffSlots: 1 };
+
+const moved = (movements) => movements.map(m => `${m.teamName} ${m.direction} ${m.via}`);
+
+test("the final table is ordered by position", () => {
+  const league = { teams: [{ name: 'B', position: 2 }, { name: 'A', position: 1 }] };
+  assert.deepEqual(getFinalTable(league).map(t => t.name), ['A', 'B']);
+  assert.deepEqual(league.teams.map(t => t.name), ['B', 'A']);
+});
+
+test("middle divisions need room for places at both boundaries", () => {
+  const tables = [
+    { name: 'Top', teams: division('A', 2) },
+    { name: 'Middle', teams: division('B', 3) },
+    { name: 'Bottom', teams: division('C', 2) }
+  ];
+  assert.match(getDivisionSizeError(tables, settings), /^Middle needs at least 4 teams/);
+
+  tables[1].teams = division('B', 4);
+  assert.equal(getDivisionSizeError(tables, settings), null);
+});
+
+test("play-offs pair the places next to the automatic ones", () => {
+  const pairs = getPlayoffPairs(division('A', 6), division('B', 6), { promotionSlots: 1, playoffSlots: 2 });
+  assert.deepEqual(pairs, [
+    { homeTeam: 'A5', awayTeam: 'B2' },
+    { homeTeam: 'A4', awayTeam: 'B3' }
+  ]);
+});
+
+test("automatic places always move and play-offs only when the lower team wins", () => {
+  const upper = division('A', 4);
+  const lower = division('B', 4);
+  assert.deepEqual(moved(getBoundaryMovements(upper, lower, settings)), [
+    'A4 relegated automatic',
+    'B1 promoted automatic'
+  ]);
+
+  const playoff = { homeTeam: 'A3', awayTeam: 'B2', homeGoals: 1, awayGoals: 1, played: true };
+  assert.equal(getBoundaryMovements(upper, lower, settings, [playoff]).length, 2);
+
+  playoff.penalties = { played: true, homeGoals: 2, awayGoals: 4 };
+  assert.deepEqual(moved(getBoundaryMovements(upper, lower, settings, [playoff])).slice(2), [
+    'A3 relegated playoff',
+    'B2 promoted playoff'
+  ]);
+});
+
+test("zones leave out promotion at the top and relegation at the bottom", () => {
+  const zones = (table, position) => getDivisionZones(table, settings, position).map(z => z.zone);
+  assert.deepEqual(zones(division('A', 5), { isTop: true, isBottom: false }),
+    ['', '', '', 'relegation_playoff', 'relegation']);
+  assert.deepEqual(zones(division('B', 5), { isTop: false, isBottom: false }),
+    ['promotion', 'promotion_playoff', '', 'relegation_playoff', 'relegation']);
+  assert.deepEqual(zones(division('C', 5), { isTop: false, isBottom: true }),
+    ['promotion', 'promotion_playoff', '', '', '']);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateMatchEvents, calculateFairPlay, buildLeaders } = require("../../utils/events");
+
+const match = (homeGoals, awayGoals, extra = {}) => ({
+  homeTeam: 'Reds',
+  awayTeam: 'Blues',
+  homeGoals,
+  awayGoals,
+  played: true,
+  ...extra
+});
+
+const goal = (team, player, extra = {}) => ({ type: 'goal', team, player, ...extra });
+const card = (type, team, player) => ({ type, team, player });
+
+test("events are cleaned and sorted by minute", () => {
+  const { events } = validateMatchEvents([
+    goal('home', ' Ann ', { minute: '80', assist: 'Bea' }),
+    goal('away', 'Cid', { minute: 12 }),
+    card('yellow_card', 'home', 'Bea')
+  ], match(1, 1));
+  assert.deepEqual(events.map(e => e.player), ['Cid', 'Ann', 'Bea']);
+  assert.equal(events[1].minute, 80);
+  assert.equal(events[1].assist, 'Bea');
+  assert.equal(events[2].minute, null);
+});
+
+test("listed goals must add up to the score including extra time", () => {
+  const extraTime = { played: true, homeGoals: 1, awayGoals: 0 };
+  assert.ok(validateMatchEvents([goal('home', 'Ann')], match(0, 0, { extraTime })).events);
+  assert.match(validateMatchEvents([goal('home', 'Ann')], match(2, 0)).error, /Reds scored 2/);
+
+  // No goals listed means the scorers were not recorded
+  assert.ok(validateMatchEvents([card('red_card', 'away', 'Cid')], match(2, 0)).events);
+});
+
+test("an own goal counts for the side it is credited to", () => {
+  const m = match(1, 0, {
+    events: [goal('home', 'Cid', { ownGoal: true }), card('red_card', 'away', 'Cid')]
+  });
+  assert.ok(validateMatchEvents(m.events, m).events);
+
+  const leaders = buildLeaders([m]);
+  assert.deepEqual(leaders.topScorers, []);
+  assert.equal(leaders.discipline[0].team, 'Blues');
+});
+
+test("bad events are refused", () => {
+  const m = match(1, 0);
+  assert.match(validateMatchEvents('goal', m).error, /must be an array/);
+  assert.match(validateMatchEvents([], { ...m, played: false }).error, /played matches/);
+  assert.match(validateMatchEvents([{ type: 'corner', team: 'home', player: 'Ann' }], m).error, /type must be/);
+  assert.match(validateMatchEvents([goal('both', 'Ann')], m).error, /home or away/);
+  assert.match(validateMatchEvents([goal('home', ' ')], m).error, /player is required/);
+  assert.match(validateMatchEvents([goal('home', 'Ann', { minute: 151 })], m).error, /minute/);
+  assert.match(validateMatchEvents([goal('home', 'Ann', { assist: 'Ann' })], m).error, /own goal/);
+  assert.match(validateMatchEvents([
+    card('yellow_card', 'home', 'Bea'),
+    card('yellow_card', 'home', 'Bea'),
+    card('yellow_card', 'home', 'Bea')
+  ], m).error, /too many cards/);
+});
+
+test("cards from counted matches reduce fair play points", () => {
+  const teams = [{ name: 'Reds' }, { name: 'Blues' }];
+  const cards = [card('yellow_card', 'home', 'Ann'), card('red_card', 'away', 'Cid')];
+  const points = calculateFairPlay(teams, [
+    match(0, 0, { events: cards }),
+    match(0, 0, { events: cards, voided: true })
+  ]);
+  assert.equal(points.get('Reds'), -1);
+  assert.equal(points.get('Blues'), -3);
+});
+
+test("leaderboards rank scorers and assisters", () => {
+  const leaders = buildLeaders([
+    match(2, 0, { events: [goal('home', 'Ann', { assist: 'Bea' }), goal('home', 'Bea', { assist: 'Ann' })] }),
+    match(1, 0, { events: [goal('home', 'Ann', { assist: 'Bea' })] })
+  ], { limit: 1 });
+  assert.deepEqual(leaders.topScorers, [{ player: 'Ann', team: 'Reds', goals: 2, assists: 1 }]);
+  assert.deepEqual(leaders.topAssists, [{ player: 'Bea', team: 'Reds', assists: 2, goals: 1 }]);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_EVIDENCE_BYTES, validateEvidenceImage } = require("../../utils/evidence");
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]);
+const gif = Buffer.from('GIF89a\x01\x00', 'ascii');
+const webp = Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'ascii');
+
+test("every allowed image type is recognised by its signature", () => {
+  assert.deepEqual(validateEvidenceImage(png, 'image/png'), { extension: 'png' });
+  assert.deepEqual(validateEvidenceImage(jpeg, 'image/jpeg'), { extension: 'jpg' });
+  assert.deepEqual(validateEvidenceImage(gif, 'image/gif'), { extension: 'gif' });
+  assert.deepEqual(validateEvidenceImage(webp, 'image/webp'), { extension: 'webp' });
+});
+
+test("content type parameters and case are ignored", () => {
+  assert.deepEqual(validateEvidenceImage(png, 'Image/PNG; charset=binary'), { extension: 'png' });
+});
+
+test("a body that does not match its declared type is refused", () => {
+  assert.ok(validateEvidenceImage(jpeg, 'image/png').error);
+  assert.ok(validateEvidenceImage(Buffer.from('<svg></svg>'), 'image/gif').error);
+  assert.ok(validateEvidenceImage(png.subarray(0, 4), 'image/png').error);
+});
+
+test("other types, empty bodies and large files are refused", () => {
+  assert.match(validateEvidenceImage(png, 'image/svg+xml').error, /must be one of/);
+  assert.match(validateEvidenceImage(png).error, /must be one of/);
+  assert.equal(validateEvidenceImage(Buffer.alloc(0), 'image/png').error, "No image was uploaded");
+  assert.equal(validateEvidenceImage('not a buffer', 'image/png').error, "No image was uploaded");
+
+  const large = Buffer.concat([png, Buffer.alloc(MAX_EVIDENCE_BYTES)]);
+  assert.match(validateEvidenceImage(large, 'image/png').error, /or smaller/);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { shuffle, drawGroups, buildRoundRobin, roundsToMatches } = require("../../utils/fixtures");
+
+const teams = (count) => Array.from({ length: count }, (_, i) => `T${i + 1}`);
+
+// Every unordered pairing played in the given rounds, as "A|B" sorted by name
+const pairings = (rounds) =>
+  rounds.flatMap(r => r.fixtures.map(f => [f.home, f.away].sort().join('|')));
+
+test("shuffle returns a new array with the same items", () => {
+  const items = teams(10);
+  const shuffled = shuffle(items);
+  assert.notEqual(shuffled, items);
+  assert.deepEqual([...shuffled].sort(), [...items].sort());
+});
+
+test("round-robin pairs every team with every other team once", () => {
+  for (const count of [2, 3, 4, 5, 8, 9]) {
+    const rounds = buildRoundRobin(teams(count));
+    const played = pairings(rounds);
+    assert.equal(played.length, (count * (count - 1)) / 2);
+    assert.equal(new Set(played).size, played.length);
+    assert.equal(rounds.length, count % 2 === 0 ? count - 1 : count);
+  }
+});
+
+test("round-robin plays every team at most once per round", () => {
+  buildRoundRobin(teams(7)).forEach(round => {
+    const playing = round.fixtures.flatMap(f => [f.home, f.away]);
+    assert.equal(new Set([...playing, ...round.byes]).size, 7);
+    assert.equal(round.byes.length, 1);
+  });
+});
+
+test("odd round-robins give every team one bye and a home/away balance", () => {
+  const rounds = buildRoundRobin(teams(5));
+  const byes = rounds.flatMap(r => r.byes);
+  assert.deepEqual([...byes].sort(), teams(5));
+
+  teams(5).forEach(team => {
+    const home = rounds.flatMap(r => r.fixtures).filter(f => f.home === team).length;
+    const away = rounds.flatMap(r => r.fixtures).filter(f => f.away === team).length;
+    assert.equal(home, away);
+  });
+});
+
+test("even round-robins keep every team within one game of a home/away balance", () => {
+  const rounds = buildRoundRobin(teams(6));
+  teams(6).forEach(team => {
+    const home = rounds.flatMap(r => r.fixtures).filter(f => f.home === team).length;
+    const away = rounds.flatMap(r => r.fixtures).filter(f => f.away === team).length;
+    assert.ok(Math.abs(home - away) <= 1);
+  });
+});
+
+test("the second leg mirrors the first with home and away swapped", () => {
+  const rounds = buildRoundRobin(teams(4), { legs: 2 });
+  assert.equal(rounds.length, 6);
+  rounds.slice(0, 3).forEach(round => {
+    const mirror = rounds[round.roundNumber + 2];
+    assert.equal(mirror.leg, 2);
+    assert.equal(mirror.roundNumber, round.roundNumber + 3);
+    assert.deepEqual(mirror.fixtures, round.fixtures.map(f => ({ home: f.away, away: f.home })));
+  });
+});
+
+test("roundsToMatches numbers matches in order and keeps byes", () => {
+  const { matches, byes } = roundsToMatches(buildRoundRobin(teams(3)), {
+    startMatchNumber: 10,
+    groupName: 'B',
+    stage: 'group'
+  });
+  assert.deepEqual(matches.map(m => m.matchNumber), [10, 11, 12]);
+  assert.ok(matches.every(m => m.groupName === 'B' && m.stage === 'group' && !m.played));
+  assert.equal(byes.length, 3);
+  assert.deepEqual(byes.map(b => b.roundNumber), [1, 2, 3]);
+});
+
+test("a random group draw spreads teams evenly", () => {
+  const { groups } = drawGroups(teams(10), { groupCount: 3 });
+  assert.deepEqual(groups.map(g => g.name), ['A', 'B', 'C']);
+  assert.deepEqual(groups.map(g => g.teams.length), [4, 3, 3]);
+  assert.deepEqual(groups.flatMap(g => g.teams).sort(), teams(10).sort());
+});
+
+test("a pot draw puts one team from each pot in every group", () => {
+  const pots = [['T1', 'T2'], ['T3', 'T4'], ['T5', 'T6']];
+  const { groups } = drawGroups(teams(6), { groupCount: 2, drawMethod: 'pots', pots });
+  groups.forEach(group => {
+    pots.forEach(pot => {
+      assert.equal(group.teams.filter(t => pot.includes(t)).length, 1);
+    });
+  });
+});
+
+test("group draws reject bad settings", () => {
+  assert.ok(drawGroups(teams(4), { groupCount: 0 }).error);
+  assert.ok(drawGroups(teams(5), { groupCount: 3 }).error);
+  assert.ok(drawGroups(teams(4), { groupCount: 2, drawMethod: 'seeded' }).error);
+  assert.ok(drawGroups(teams(4), { groupCount: 2, drawMethod: 'pots', pots: [['T1', 'T2'], ['T3']] }).error);
+  assert.ok(drawGroups(teams(4), { groupCount: 2, drawMethod: 'pots', pots: [['T1', 'T1'], ['T3', 'T4']] }).error);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getTableRoundCount, computeTablesAsOf, buildPositionHistory } = require("../../utils/history");
+
+const match = (homeTeam, awayTeam, roundNumber, homeGoals, awayGoals, extra = {}) => ({
+  homeTeam,
+  awayTeam,
+  roundNumber,
+  homeGoals,
+  awayGoals,
+  played: true,
+  stage: 'league',
+  ...extra
+});
+
+// T2 leads after round one, T1 overtakes them in round two
+const buildLeague = () => ({
+  format: 'league',
+  teams: ['T1', 'T2', 'T3', 'T4'].map(name => ({ name, points: 99 })),
+  matches: [
+    match('T1', 'T3', 1, 1, 0),
+    match('T2', 'T4', 1, 3, 0),
+    match('T1', 'T2', 2, 4, 0),
+    match('T3', 'T4', 2, 0, 0),
+    match('T1', 'T4', 3, 0, 0, { played: false }),
+    match('T2', 'T3', 3, 0, 0, { played: false })
+  ],
+  byes: []
+});
+
+const names = (table) => table.teams.map(t => t.name);
+
+test("the table after a round counts only the rounds up to it", () => {
+  const league = buildLeague();
+  const [afterOne] = computeTablesAsOf(league, 1);
+  assert.deepEqual(names(afterOne), ['T2', 'T1', 'T3', 'T4']);
+  assert.equal(afterOne.teams[0].points, 3);
+  assert.equal(afterOne.teams[0].position, 1);
+
+  const [afterTwo] = computeTablesAsOf(league, 2);
+  assert.deepEqual(names(afterTwo).slice(0, 2), ['T1', 'T2']);
+  assert.equal(afterTwo.teams[0].points, 6);
+
+  // The stored table is left alone
+  assert.equal(league.teams[0].points, 99);
+});
+
+test("position history covers every round with a played match", () => {
+  const league = buildLeague();
+  assert.equal(getTableRoundCount(league), 3);
+
+  const history = buildPositionHistory(league);
+  assert.deepEqual(history.rounds, [1, 2]);
+  const t1 = history.teams.find(t => t.name === 'T1');
+  assert.deepEqual(t1.positions, [
+    { round: 1, position: 2, points: 3 },
+    { round: 2, position: 1, points: 6 }
+  ]);
+});
+
+test("group tournaments track each group on its own and ignore the knockout", () => {
+  const league = {
+    format: 'groups',
+    teams: [
+      { name: 'A1', groupName: 'A' },
+      { name: 'A2', groupName: 'A' },
+      { name: 'B1', groupName: 'B' },
+      { name: 'B2', groupName: 'B' }
+    ],
+    matches: [
+      match('A1', 'A2', 1, 0, 1, { stage: 'group' }),
+      match('B1', 'B2', 1, 2, 0, { stage: 'group' }),
+      match('A2', 'B1', 2, 1, 0, { stage: 'knockout' })
+    ],
+    byes: []
+  };
+  assert.equal(getTableRoundCount(league), 1);
+
+  const tables = computeTablesAsOf(league, 2);
+  assert.deepEqual(tables.map(t => t.groupName), ['A', 'B']);
+  assert.deepEqual(tables.map(names), [['A2', 'A1'], ['B1', 'B2']]);
+  assert.equal(tables[1].teams[0].played, 1);
+});
+
+test("a Swiss bye is worth a win in the round it was given", () => {
+  const league = {
+    format: 'swiss',
+    teams: ['T1', 'T2', 'T3'].map(name => ({ name })),
+    matches: [match('T1', 'T2', 1, 1, 1)],
+    byes: [{ teamName: 'T3', roundNumber: 1 }, { teamName: 'T1', roundNumber: 2 }]
+  };
+  const [table] = computeTablesAsOf(league, 1);
+  assert.equal(table.teams[0].name, 'T3');
+  assert.equal(table.teams[0].points, 3);
+  assert.equal(table.teams.find(t => t.name === 'T1').points, 1);
+});
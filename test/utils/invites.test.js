@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateJoinCode, generateInviteToken, getInviteError } = require("../../utils/invites");
+
+const invite = (extra = {}) => ({ revokedAt: null, expiresAt: null, maxUses: 0, redemptions: [], ...extra });
+
+test("join codes are six characters without look-alike symbols", () => {
+  for (let i = 0; i < 50; i++) {
+    assert.match(generateJoinCode(), /^[A-HJ-NP-Z2-9]{6}$/);
+  }
+});
+
+test("invite tokens are URL-safe and unique", () => {
+  const tokens = new Set(Array.from({ length: 50 }, generateInviteToken));
+  assert.equal(tokens.size, 50);
+  tokens.forEach(token => assert.match(token, /^[A-Za-z0-9_-]{24}$/));
+});
+
+test("an open invite can be redeemed", () => {
+  assert.equal(getInviteError(invite()), null);
+  assert.equal(getInviteError(invite({ maxUses: 2, redemptions: [{}] })), null);
+  assert.equal(getInviteError(invite({ expiresAt: new Date('2026-06-02') }), new Date('2026-06-01')), null);
+});
+
+test("revoked, expired and used-up invites are refused", () => {
+  assert.match(getInviteError(invite({ revokedAt: new Date() })), /revoked/);
+  assert.match(getInviteError(invite({ expiresAt: new Date('2026-06-01') }), new Date('2026-06-01')), /expired/);
+  assert.match(getInviteError(invite({ maxUses: 1, redemptions: [{}] })), /maximum number/);
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { expectedScore, getMarginMultiplier, rewindRatings, computeRatings } = require("../../utils/ratings");
+
+const config = { kFactor: 32, initialRating: 1500, marginWeighting: true };
+
+const participants = ['A', 'B', 'C', 'D'].map(name => ({
+  userId: `user-${name}`,
+  teamName: name,
+  teamId: `team-${name}`,
+  status: 'approved'
+}));
+
+let nextId = 0;
+const match = (home, away, homeGoals, awayGoals, day, extra = {}) => ({
+  _id: `match-${String(nextId++).padStart(3, '0')}`,
+  homeTeam: home,
+  awayTeam: away,
+  homeTeamId: `team-${home}`,
+  awayTeamId: `team-${away}`,
+  homeGoals,
+  awayGoals,
+  played: true,
+  playedAt: new Date(Date.UTC(2024, 0, day)),
+  date: new Date(Date.UTC(2024, 0, day)),
+  ...extra
+});
+
+const buildLeagues = () => [
+  {
+    _id: 'league-1',
+    participants,
+    matches: [
+      match('A', 'B', 2, 0, 1),
+      match('C', 'D', 1, 1, 2),
+      match('A', 'C', 0, 3, 3),
+      match('B', 'D', 4, 1, 4)
+    ]
+  },
+  {
+    _id: 'league-2',
+    participants,
+    matches: [
+      match('D', 'A', 1, 0, 5),
+      match('B', 'C', 2, 2, 6)
+    ]
+  }
+];
+
+const byUser = (rows) => Object.fromEntries(rows.map(row => [row.userId.toString(), row]));
+
+// Update the ratings the way the Rating model does after a change at `from`
+const replayFrom = (leagues, previous, from) =>
+  computeRatings(leagues, { config, from, ratings: rewindRatings(previous, from, config) });
+
+test("expected scores of two players add up to one", () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.ok(Math.abs(expectedScore(1600, 1400) + expectedScore(1400, 1600) - 1) < 1e-12);
+});
+
+test("bigger wins move ratings further", () => {
+  assert.equal(getMarginMultiplier(1, config), 1);
+  assert.equal(getMarginMultiplier(2, config), 1.5);
+  assert.equal(getMarginMultiplier(5, config), 2);
+  assert.equal(getMarginMultiplier(5, { ...config, marginWeighting: false }), 1);
+});
+
+test("a win moves both players by the same amount", () => {
+  const rows = byUser(computeRatings([{ _id: 'l', participants, matches: [match('A', 'B', 1, 0, 1)] }], { config }));
+  assert.equal(rows['user-A'].rating, 1516);
+  assert.equal(rows['user-B'].rating, 1484);
+  assert.equal(rows['user-A'].wins, 1);
+  assert.equal(rows['user-B'].losses, 1);
+  assert.equal(rows['user-A'].history[0].change, 16);
+});
+
+test("forfeits, byes, voided and unplayed matches are not rated", () => {
+  const rows = computeRatings([{
+    _id: 'l',
+    participants,
+    matches: [
+      match('A', 'B', 3, 0, 1, { forfeitedBy: 'away' }),
+      match('A', 'C', 1, 0, 2, { voided: true }),
+      match('A', 'D', 1, 0, 3, { played: false }),
+      match('B', '', 0, 0, 4, { isBye: true })
+    ]
+  }], { config });
+  assert.deepEqual(rows, []);
+});
+
+test("a new result replayed on its own matches a full rebuild", () => {
+  const leagues = buildLeagues();
+  const latest = leagues[1].matches.pop();
+  const before = computeRatings(leagues, { config });
+
+  leagues[1].matches.push(latest);
+  const updated = replayFrom(leagues, before, latest.playedAt);
+  assert.deepEqual(byUser(updated), byUser(computeRatings(leagues, { config })));
+});
+
+test("a corrected result replayed from that match matches a full rebuild", () => {
+  const leagues = buildLeagues();
+  const before = computeRatings(leagues, { config });
+
+  const corrected = leagues[0].matches[1];
+  Object.assign(corrected, { homeGoals: 0, awayGoals: 5 });
+  const updated = replayFrom(leagues, before, corrected.playedAt);
+  assert.deepEqual(byUser(updated), byUser(computeRatings(leagues, { config })));
+  assert.notDeepEqual(byUser(updated), byUser(before));
+});
+
+test("a reverted result replayed from that match matches a full rebuild", () => {
+  const leagues = buildLeagues();
+  const before = computeRatings(leagues, { config });
+
+  const reverted = leagues[0].matches[0];
+  const from = reverted.playedAt;
+  Object.assign(reverted, { homeGoals: 0, awayGoals: 0, played: false, playedAt: undefined });
+  const updated = replayFrom(leagues, before, from);
+  assert.deepEqual(byUser(updated), byUser(computeRatings(leagues, { config })));
+  assert.equal(byUser(updated)['user-A'].matchesPlayed, 2);
+});
+
+test("rewinding drops players without a match before the change", () => {
+  const rows = computeRatings(buildLeagues(), { config });
+  const rewound = byUser(rewindRatings(rows, new Date(Date.UTC(2024, 0, 2)), config));
+  assert.deepEqual(Object.keys(rewound).sort(), ['user-A', 'user-B']);
+  assert.equal(rewound['user-A'].rating, 1524);
+  assert.equal(rewound['user-A'].peakRating, 1524);
+  assert.equal(rewound['user-B'].matchesPlayed, 1);
+});
+
+test("matches of a replaced player are rated for whoever owned the team then", () => {
+  const shared = [
+    { ...participants[0], status: 'withdrawn', withdrawnAt: new Date(Date.UTC(2024, 0, 2)) },
+    { ...participants[0], userId: 'user-E' },
+    participants[1]
+  ];
+  const rows = byUser(computeRatings([{
+    _id: 'l',
+    participants: shared,
+    matches: [match('A', 'B', 1, 0, 1), match('A', 'B', 1, 0, 3)]
+  }], { config }));
+  assert.equal(rows['user-A'].matchesPlayed, 1);
+  assert.equal(rows['user-E'].matchesPlayed, 1);
+  assert.equal(rows['user-B'].matchesPlayed, 2);
+});
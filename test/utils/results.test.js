@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getTotalGoals,
+  getMatchWinner,
+  parseMatchResult,
+  getResultWinner,
+  isSameResult,
+  getStoredResult,
+  clearMatchResult,
+  applyMatchResult
+} = require("../../utils/results");
+
+test("extra-time goals count and shootout goals decide only the winner", () => {
+  const match = {
+    homeGoals: 1,
+    awayGoals: 1,
+    extraTime: { played: true, homeGoals: 1, awayGoals: 1 },
+    penalties: { played: true, homeGoals: 2, awayGoals: 4 }
+  };
+  assert.deepEqual(getTotalGoals(match), { home: 2, away: 2 });
+  assert.equal(getMatchWinner(match), 'away');
+  assert.equal(getMatchWinner({ homeGoals: 0, awayGoals: 0 }), 'draw');
+});
+
+test("a forfeit without a score is recorded as 3-0 to the opponent", () => {
+  const { result } = parseMatchResult({ forfeitedBy: 'home' });
+  assert.deepEqual([result.homeGoals, result.awayGoals], [0, 3]);
+  assert.match(parseMatchResult({ forfeitedBy: 'home', homeGoals: 2, awayGoals: 1 }).error, /must lose/);
+  assert.match(parseMatchResult({ forfeitedBy: 'both' }).error, /home or away/);
+});
+
+test("extra time and penalties only follow a draw", () => {
+  const { result } = parseMatchResult({
+    homeGoals: '1',
+    awayGoals: '1',
+    extraTime: { homeGoals: 0, awayGoals: 0 },
+    penalties: { homeGoals: 5, awayGoals: 3 }
+  });
+  assert.equal(getResultWinner(result), 'home');
+
+  assert.match(parseMatchResult({ homeGoals: 2, awayGoals: 1, extraTime: { homeGoals: 0, awayGoals: 0 } }).error, /Extra time/);
+  assert.match(parseMatchResult({ homeGoals: 1, awayGoals: 1, extraTime: { homeGoals: 1, awayGoals: 0 }, penalties: { homeGoals: 3, awayGoals: 2 } }).error, /only follow a draw/);
+  assert.match(parseMatchResult({ homeGoals: 1, awayGoals: 1, penalties: { homeGoals: 3, awayGoals: 3 } }).error, /must have a winner/);
+  assert.match(parseMatchResult({ homeGoals: 1, awayGoals: 1, forfeitedBy: 'away', penalties: { homeGoals: 3, awayGoals: 2 } }).error, /forfeit/);
+});
+
+test("scores must be non-negative numbers", () => {
+  assert.match(parseMatchResult({ homeGoals: 1 }).error, /required/);
+  assert.match(parseMatchResult({ homeGoals: -1, awayGoals: 0 }).error, /non-negative/);
+  assert.match(parseMatchResult({ homeGoals: 'two', awayGoals: 0 }).error, /non-negative/);
+  assert.match(parseMatchResult({ homeGoals: 1, awayGoals: 1, penalties: { homeGoals: 'x' } }).error, /Penalty shootout/);
+});
+
+test("a stored result compares equal to the submission it came from", () => {
+  const { result } = parseMatchResult({ homeGoals: 0, awayGoals: 0, penalties: { homeGoals: 4, awayGoals: 3 } });
+  const match = {};
+  applyMatchResult(match, result);
+  assert.equal(match.played, true);
+  assert.equal(match.winner, 'home');
+  assert.ok(match.playedAt instanceof Date);
+  assert.ok(isSameResult(getStoredResult(match), result));
+  assert.ok(!isSameResult(getStoredResult(match), { ...result, penalties: null }));
+
+  clearMatchResult(match);
+  assert.equal(match.played, false);
+  assert.equal(match.winner, '');
+  assert.equal(match.playedAt, undefined);
+  assert.equal(match.penalties.played, false);
+});
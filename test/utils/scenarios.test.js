@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_POINTS_SYSTEM, computeStandings, rankLeague } = require("../../utils/standings");
+const { getRemainingFixtures, getTableChampion, calculateScenarios } = require("../../utils/scenarios");
+
+const fixture = (homeTeam, awayTeam, roundNumber, extra = {}) => ({
+  homeTeam,
+  awayTeam,
+  homeGoals: 0,
+  awayGoals: 0,
+  played: false,
+  roundNumber,
+  stage: 'league',
+  ...extra
+});
+
+const play = (match, homeGoals, awayGoals) => Object.assign(match, { homeGoals, awayGoals, played: true });
+const clear = (match) => Object.assign(match, { homeGoals: 0, awayGoals: 0, played: false });
+
+// Three teams, each playing the others twice
+const buildLeague = () => {
+  const league = {
+    format: 'league',
+    teams: ['T1', 'T2', 'T3'].map(name => ({ name })),
+    matches: [
+      fixture('T1', 'T2', 1),
+      fixture('T1', 'T3', 2),
+      fixture('T2', 'T3', 3),
+      fixture('T2', 'T1', 4),
+      fixture('T3', 'T1', 5),
+      fixture('T3', 'T2', 6)
+    ]
+  };
+  return league;
+};
+
+// Recalculate the table the way the league controller does
+const recalculate = (league) => {
+  computeStandings(league.teams, league.matches);
+  league.teams = rankLeague(league).flatMap(table => table.teams);
+  return getTableChampion(league);
+};
+
+const clinch = (league) => {
+  const [m1, m2, , m4] = league.matches;
+  play(m1, 2, 0);
+  play(m2, 2, 0);
+  play(m4, 0, 2);
+  play(league.matches[2], 1, 1);
+};
+
+test("a league has no champion while the title is open", () => {
+  const league = buildLeague();
+  assert.equal(recalculate(league), null);
+  play(league.matches[0], 2, 0);
+  assert.equal(recalculate(league), null);
+});
+
+test("the leader is champion once no one can catch them", () => {
+  const league = buildLeague();
+  clinch(league);
+  assert.equal(recalculate(league).name, 'T1');
+});
+
+test("correcting a result after a clinch reopens the title", () => {
+  const league = buildLeague();
+  clinch(league);
+  assert.equal(recalculate(league).name, 'T1');
+
+  play(league.matches[0], 0, 2);
+  assert.equal(recalculate(league), null);
+});
+
+test("reverting a result after a clinch reopens the title", () => {
+  const league = buildLeague();
+  clinch(league);
+  assert.equal(recalculate(league).name, 'T1');
+
+  clear(league.matches[3]);
+  assert.equal(recalculate(league), null);
+
+  play(league.matches[3], 0, 2);
+  assert.equal(recalculate(league).name, 'T1');
+});
+
+test("a finished league is decided even when the leader never clinched early", () => {
+  const league = buildLeague();
+  league.matches.forEach(m => play(m, 1, 1));
+  play(league.matches[5], 0, 1);
+  assert.equal(recalculate(league).name, 'T2');
+});
+
+test("a league with fewer than two teams has no champion", () => {
+  const league = { format: 'league', teams: [{ name: 'T1' }], matches: [] };
+  assert.equal(getTableChampion(league), null);
+});
+
+test("a Swiss league is decided by its last round", () => {
+  const league = {
+    format: 'swiss',
+    swissRounds: 2,
+    teams: ['T1', 'T2', 'T3', 'T4'].map(name => ({ name })),
+    matches: [fixture('T1', 'T2', 1), fixture('T3', 'T4', 1)]
+  };
+  league.matches.forEach(m => play(m, 1, 0));
+  assert.equal(recalculate(league), null);
+
+  league.matches.push(play(fixture('T1', 'T3', 2), 1, 0), play(fixture('T2', 'T4', 2), 1, 0));
+  assert.equal(recalculate(league).name, 'T1');
+});
+
+test("a knockout cup is decided by its final", () => {
+  const final = fixture('T1', 'T2', 2, { stage: 'knockout' });
+  const league = {
+    format: 'knockout',
+    teams: ['T1', 'T2', 'T3', 'T4'].map(name => ({ name })),
+    matches: [
+      play(fixture('T1', 'T4', 1, { stage: 'knockout' }), 1, 0),
+      play(fixture('T2', 'T3', 1, { stage: 'knockout' }), 1, 0),
+      final
+    ]
+  };
+  assert.equal(getTableChampion(league), null);
+
+  play(final, 1, 1);
+  final.penalties = { played: true, homeGoals: 3, awayGoals: 4 };
+  assert.equal(getTableChampion(league).name, 'T2');
+});
+
+// Table rows with the given points, in table order
+const table = (points) => Object.entries(points).map(([name, value], i) => ({ name, points: value, position: i + 1 }));
+
+const scenarioFor = (rows, name) => rows.find(r => r.teamName === name);
+
+test("a team clinches a place only when no results can catch it", () => {
+  const rows = calculateScenarios(
+    table({ T1: 10, T2: 9, T3: 4, T4: 0 }),
+    [fixture('T1', 'T2', 5), fixture('T3', 'T4', 5)],
+    DEFAULT_POINTS_SYSTEM,
+    2
+  );
+  const t1 = scenarioFor(rows, 'T1');
+  assert.equal(t1.clinchedFirst, false);
+  assert.equal(t1.clinchedTop, true);
+  assert.deepEqual([t1.minPoints, t1.maxPoints, t1.remainingMatches], [10, 13, 1]);
+
+  const t3 = scenarioFor(rows, 'T3');
+  assert.equal(t3.eliminatedFromFirst, true);
+  assert.equal(t3.eliminatedFromTop, true);
+  assert.ok(rows.every(r => r.exact));
+});
+
+test("level points count against clinching because tiebreakers can go either way", () => {
+  const fixtures = [fixture('T2', 'T3', 5)];
+  const level = calculateScenarios(table({ T1: 10, T2: 7, T3: 0 }), fixtures, DEFAULT_POINTS_SYSTEM);
+  assert.equal(scenarioFor(level, 'T1').clinchedFirst, false);
+  assert.equal(scenarioFor(level, 'T2').eliminatedFromFirst, false);
+
+  const behind = calculateScenarios(table({ T1: 10, T2: 6, T3: 0 }), fixtures, DEFAULT_POINTS_SYSTEM);
+  assert.equal(scenarioFor(behind, 'T1').clinchedFirst, true);
+  assert.equal(scenarioFor(behind, 'T2').eliminatedFromFirst, true);
+});
+
+test("clinching takes the goal bonus into account", () => {
+  const rules = { ...DEFAULT_POINTS_SYSTEM, goalBonusThreshold: 3, goalBonusPoints: 1 };
+  const rows = calculateScenarios(table({ T1: 10, T2: 6, T3: 0 }), [fixture('T2', 'T3', 5)], rules);
+  assert.equal(scenarioFor(rows, 'T1').clinchedFirst, false);
+  assert.equal(scenarioFor(rows, 'T2').maxPoints, 10);
+});
+
+test("only matches with both teams and no result are left to play", () => {
+  const remaining = getRemainingFixtures([
+    fixture('T1', 'T2', 1),
+    play(fixture('T1', 'T3', 1), 1, 0),
+    fixture('T2', 'T3', 2, { voided: true }),
+    fixture('T3', '', 2, { isBye: true }),
+    fixture('', '', 3)
+  ]);
+  assert.equal(remaining.length, 1);
+  assert.equal(remaining[0].awayTeam, 'T2');
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isMatchDay, nextMatchDay, hasEnoughRest, scheduleRounds } = require("../../utils/schedule");
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const rounds = (count, teams = ['T1', 'T2']) =>
+  Array.from({ length: count }, (_, i) => ({ key: i + 1, teams }));
+
+const dates = (schedule) => [...schedule.dates.values()].map(d => d.toISOString().slice(0, 10));
+
+const SUNDAYS = { matchDays: [0] };
+
+test("match days follow the weekdays and skip blackout dates", () => {
+  assert.equal(isMatchDay(day('2026-11-01'), SUNDAYS), true);
+  assert.equal(isMatchDay(day('2026-11-02'), SUNDAYS), false);
+  assert.equal(isMatchDay(new Date('2026-11-01T18:30:00Z'), { ...SUNDAYS, blackoutDates: [day('2026-11-01')] }), false);
+  assert.deepEqual(nextMatchDay(day('2026-11-01'), SUNDAYS), day('2026-11-08'));
+});
+
+test("rest days are the full days between two games", () => {
+  const lastPlayed = new Map([['T1', day('2026-11-01')]]);
+  assert.equal(hasEnoughRest(day('2026-11-03'), ['T1', 'T2'], lastPlayed, 1), true);
+  assert.equal(hasEnoughRest(day('2026-11-02'), ['T1', 'T2'], lastPlayed, 1), false);
+});
+
+test("rounds are spread evenly over the match days of the season", () => {
+  const schedule = scheduleRounds(rounds(3), { startDate: '2026-11-01', endDate: '2026-11-30', ...SUNDAYS });
+  assert.deepEqual(dates(schedule), ['2026-11-01', '2026-11-08', '2026-11-22']);
+  assert.equal(schedule.overflow, false);
+
+  const blackout = scheduleRounds(rounds(3), {
+    startDate: '2026-11-01',
+    endDate: '2026-11-30',
+    ...SUNDAYS,
+    blackoutDates: [day('2026-11-08')]
+  });
+  assert.deepEqual(dates(blackout), ['2026-11-01', '2026-11-15', '2026-11-22']);
+});
+
+test("rounds that need more rest run past the end date as overflow", () => {
+  const schedule = scheduleRounds(rounds(3), { startDate: '2026-11-01', endDate: '2026-11-03', minRestDays: 1 });
+  assert.deepEqual(dates(schedule), ['2026-11-01', '2026-11-03', '2026-11-05']);
+  assert.equal(schedule.overflow, true);
+});
+
+test("a calendar without match days cannot be scheduled", () => {
+  const schedule = scheduleRounds(rounds(1), { startDate: '2026-11-01', endDate: '2026-11-30', matchDays: [7] });
+  assert.ok(schedule.error);
+});
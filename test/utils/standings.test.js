@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_POINTS_SYSTEM,
+  getPointsSystem,
+  getMatchPoints,
+  computeStandings,
+  getTiebreakers,
+  rankTeams
+} = require("../../utils/standings");
+
+const rows = (...names) => names.map(name => ({ name }));
+
+const played = (homeTeam, awayTeam, homeGoals, awayGoals, extra = {}) =>
+  ({ homeTeam, awayTeam, homeGoals, awayGoals, played: true, ...extra });
+
+const names = (teams) => teams.map(t => t.name);
+
+test("the table counts results, goals and points", () => {
+  const table = computeStandings(rows('A', 'B', 'C'), [
+    played('A', 'B', 2, 0),
+    played('B', 'C', 1, 1),
+    { homeTeam: 'C', awayTeam: 'A', homeGoals: 0, awayGoals: 0, played: false }
+  ]);
+  const [a, b, c] = table;
+  assert.deepEqual([a.played, a.won, a.points, a.goalDifference], [1, 1, 3, 2]);
+  assert.deepEqual([b.played, b.drawn, b.lost, b.points, b.goalsAgainst], [2, 1, 1, 1, 3]);
+  assert.deepEqual([c.played, c.drawn, c.points], [1, 1, 1]);
+});
+
+test("extra time counts for goals and a shootout decides the result", () => {
+  const [a, b] = computeStandings(rows('A', 'B'), [
+    played('A', 'B', 1, 1, {
+      extraTime: { played: true, homeGoals: 1, awayGoals: 1 },
+      penalties: { played: true, homeGoals: 5, awayGoals: 4 }
+    })
+  ]);
+  assert.equal(a.goalsFor, 2);
+  assert.equal(a.won, 1);
+  assert.equal(b.lost, 1);
+});
+
+test("goal bonus and forfeit penalty change the points", () => {
+  const rules = { ...DEFAULT_POINTS_SYSTEM, goalBonusThreshold: 3, goalBonusPoints: 1, forfeitPenalty: 2 };
+  const forfeit = played('A', 'B', 3, 0, { forfeitedBy: 'away' });
+  assert.equal(getMatchPoints(forfeit, 'home', rules), 4);
+  assert.equal(getMatchPoints(forfeit, 'away', rules), -2);
+  assert.equal(getMatchPoints(played('A', 'B', 2, 2), 'home', rules), 1);
+});
+
+test("unset scoring rules fall back to the defaults", () => {
+  const rules = getPointsSystem({ pointsSystem: { win: 2, draw: null } });
+  assert.equal(rules.win, 2);
+  assert.equal(rules.draw, 1);
+  assert.equal(rules.allowDraws, true);
+});
+
+test("drawing of lots always closes the tiebreaker chain", () => {
+  assert.deepEqual(getTiebreakers({ tiebreakers: ['wins'] }), ['wins', 'drawingOfLots']);
+  assert.deepEqual(getTiebreakers({ tiebreakers: ['drawingOfLots', 'wins'] }), ['drawingOfLots', 'wins']);
+  assert.equal(getTiebreakers({ format: 'swiss' })[0], 'buchholz');
+  assert.equal(getTiebreakers({})[0], 'goalDifference');
+});
+
+test("tiebreakers are applied in the configured order", () => {
+  // A and B both finish on six points; A won their meeting, B has the better
+  // goal difference
+  const matches = [
+    played('A', 'B', 1, 0),
+    played('A', 'C', 1, 0),
+    played('D', 'A', 1, 0),
+    played('B', 'C', 5, 0),
+    played('B', 'D', 5, 0)
+  ];
+  const table = computeStandings(rows('A', 'B', 'C', 'D'), matches);
+
+  const byGoals = rankTeams(table, matches);
+  assert.deepEqual(names(byGoals).slice(0, 2), ['B', 'A']);
+
+  const byMeeting = rankTeams(table, matches, { tiebreakers: ['headToHeadPoints', 'goalDifference'] });
+  assert.deepEqual(names(byMeeting).slice(0, 2), ['A', 'B']);
+});
+
+test("head-to-head is worked out again between the teams still tied", () => {
+  // Level on points. A takes the mini-league; B and C drew each other, so
+  // their own head-to-head goal difference is level even though C lost to A
+  // by more, and the lots decide.
+  const table = rows('A', 'B', 'C').map(t => ({ ...t, points: 4 }));
+  table[1].drawLot = 0.9;
+  table[2].drawLot = 0.1;
+  const matches = [
+    played('A', 'B', 1, 0),
+    played('A', 'C', 3, 0),
+    played('B', 'C', 0, 0)
+  ];
+  const ranked = rankTeams(table, matches, {
+    tiebreakers: ['headToHeadPoints', 'headToHeadGoalDifference', 'drawingOfLots']
+  });
+  assert.deepEqual(names(ranked), ['A', 'C', 'B']);
+});
+
+test("teams level on every criterion are ranked by their lots", () => {
+  const matches = [
+    played('A', 'B', 1, 0),
+    played('B', 'C', 1, 0),
+    played('C', 'A', 1, 0)
+  ];
+  const table = computeStandings(rows('A', 'B', 'C'), matches);
+  table[0].drawLot = 0.5;
+  table[1].drawLot = 0.2;
+  table[2].drawLot = 0.9;
+  assert.deepEqual(names(rankTeams(table, matches)), ['B', 'A', 'C']);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pairSwissRound, calculateBuchholz } = require("../../utils/swiss");
+
+const teams = (count) => Array.from({ length: count }, (_, i) => `T${i + 1}`);
+
+const met = (homeTeam, awayTeam) => ({ homeTeam, awayTeam });
+
+const pairs = (fixtures) => fixtures.map(f => [f.home, f.away].sort().join('|'));
+
+test("the first round pairs neighbours in the ranking", () => {
+  const round = pairSwissRound(teams(4));
+  assert.deepEqual(round.fixtures, [{ home: 'T1', away: 'T2' }, { home: 'T3', away: 'T4' }]);
+  assert.equal(round.bye, null);
+});
+
+test("teams that already met are not paired again", () => {
+  const round = pairSwissRound(['T1', 'T3', 'T2', 'T4'], {
+    matches: [met('T1', 'T2'), met('T3', 'T4')]
+  });
+  assert.deepEqual(pairs(round.fixtures), ['T1|T3', 'T2|T4']);
+});
+
+test("a team skips an opponent that would leave the rest unpairable", () => {
+  // T1 could meet T3, but T2 and T4 have already played each other
+  const round = pairSwissRound(teams(4), {
+    matches: [met('T1', 'T2'), met('T2', 'T4')]
+  });
+  assert.deepEqual(pairs(round.fixtures), ['T1|T4', 'T2|T3']);
+});
+
+test("the lowest-ranked team without a bye sits out an odd round", () => {
+  assert.equal(pairSwissRound(teams(5)).bye, 'T5');
+  assert.equal(pairSwissRound(teams(5), { byes: [{ teamName: 'T5' }] }).bye, 'T4');
+});
+
+test("the team with fewer home games plays at home", () => {
+  const round = pairSwissRound(['T1', 'T3'], { matches: [met('T1', 'T2'), met('T4', 'T3')] });
+  assert.deepEqual(round.fixtures, [{ home: 'T3', away: 'T1' }]);
+});
+
+test("pairing fails once every pairing would be a rematch", () => {
+  const round = pairSwissRound(teams(2), { matches: [met('T2', 'T1')] });
+  assert.ok(round.error);
+});
+
+test("Buchholz adds up the points of every opponent played", () => {
+  const table = [
+    { name: 'T1', points: 6 },
+    { name: 'T2', points: 3 },
+    { name: 'T3', points: 0 }
+  ];
+  const buchholz = calculateBuchholz(table, [
+    { ...met('T1', 'T2'), played: true },
+    { ...met('T1', 'T3'), played: true },
+    { ...met('T2', 'T3'), played: false }
+  ]);
+  assert.equal(buchholz.get('T1'), 3);
+  assert.equal(buchholz.get('T2'), 6);
+  assert.equal(buchholz.get('T3'), 6);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  getTeamKey,
+  findTeamRow,
+  findTeamOwner,
+  findMatchOwner,
+  linkTeamIds,
+  assignTeamIds,
+  renameTeam
+} = require("../../utils/teams");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// League from before team ids: everything is linked by name only
+const legacyLeague = () => ({
+  participants: [
+    { userId: id(), teamName: 'Reds', status: 'withdrawn' },
+    { userId: id(), teamName: 'Reds', status: 'approved' },
+    { userId: id(), teamName: 'Blues', status: 'approved' }
+  ],
+  teams: [{ name: 'Reds' }, { name: 'Blues' }],
+  matches: [{ homeTeam: 'Reds', awayTeam: 'Blues' }],
+  byes: [{ teamName: 'Blues' }],
+  winner: { teamName: 'Reds' },
+  previousWinners: [{ teamName: 'Blues' }]
+});
+
+test("teams are keyed by id, or by name before they have one", () => {
+  const teamId = id();
+  assert.equal(getTeamKey(teamId, 'Reds'), teamId.toString());
+  assert.equal(getTeamKey(null, 'Reds'), 'Reds');
+  assert.equal(getTeamKey(null, undefined), '');
+
+  const rows = [{ name: 'Reds' }, { name: 'Blues', teamId }];
+  assert.equal(findTeamRow(rows, teamId, 'Renamed'), rows[1]);
+  assert.equal(findTeamRow(rows, null, 'Reds'), rows[0]);
+  assert.equal(findTeamRow(rows, id(), 'Blues'), null);
+});
+
+test("the migration gives a replacement the id of the team it took over", () => {
+  const league = legacyLeague();
+  assignTeamIds(league);
+
+  const [withdrawn, replacement, blues] = league.participants;
+  assert.ok(withdrawn.teamId);
+  assert.equal(replacement.teamId, withdrawn.teamId);
+  assert.notEqual(blues.teamId.toString(), withdrawn.teamId.toString());
+
+  assert.equal(league.teams[0].teamId, withdrawn.teamId);
+  assert.equal(league.matches[0].awayTeamId, blues.teamId);
+  assert.equal(league.byes[0].teamId, blues.teamId);
+  assert.equal(league.winner.teamId, withdrawn.teamId);
+  assert.equal(league.previousWinners[0].teamId, blues.teamId);
+  assert.equal(findTeamOwner(league, withdrawn.teamId), replacement);
+});
+
+test("new fixtures take the ids of the participants they were drawn for", () => {
+  const participants = [{ teamName: 'Reds', teamId: id() }];
+  const fixtures = { matches: [{ homeTeam: 'Reds', awayTeam: '' }] };
+  linkTeamIds(participants, fixtures);
+  assert.equal(fixtures.matches[0].homeTeamId, participants[0].teamId);
+  assert.equal(fixtures.matches[0].awayTeamId, null);
+});
+
+test("a shared team's matches belong to whoever played for it at the time", () => {
+  const teamId = id();
+  const before = { teamName: 'Reds', teamId, status: 'withdrawn', withdrawnAt: new Date('2026-03-01') };
+  const after = { teamName: 'Reds', teamId, status: 'approved' };
+  const rejected = { teamName: 'Reds', teamId, status: 'rejected' };
+  const participants = [after, rejected, before];
+  const match = (date) => ({ homeTeam: 'Reds', homeTeamId: teamId, date: new Date(date) });
+
+  assert.equal(findMatchOwner(participants, match('2026-02-01'), 'home'), before);
+  assert.equal(findMatchOwner(participants, match('2026-04-01'), 'home'), after);
+  assert.equal(findMatchOwner(participants, { ...match('2026-04-01'), playedAt: new Date('2026-02-15') }, 'home'), before);
+  assert.equal(findMatchOwner(participants, match('2026-02-01'), 'away'), null);
+});
+
+test("a rename reaches every name of the team but not other teams", () => {
+  const league = legacyLeague();
+  assignTeamIds(league);
+  const reds = league.participants[0].teamId;
+
+  const renamed = renameTeam(league, reds, { teamName: 'Scarlets', teamLogoUrl: 'logo.png' });
+  assert.deepEqual(renamed, { previousName: 'Reds', teamName: 'Scarlets' });
+  assert.deepEqual(league.participants.map(p => p.teamName), ['Scarlets', 'Scarlets', 'Blues']);
+  assert.equal(league.teams[0].name, 'Scarlets');
+  assert.equal(league.teams[0].logo, 'logo.png');
+  assert.equal(league.matches[0].homeTeam, 'Scarlets');
+  assert.equal(league.matches[0].awayTeam, 'Blues');
+  assert.equal(league.winner.teamName, 'Scarlets');
+  assert.equal(league.previousWinners[0].teamName, 'Blues');
+
+  assert.equal(renameTeam(league, id(), { teamName: 'Nobody' }), null);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  isListedLeague,
+  getLeagueMemberIds,
+  canViewLeague,
+  canListLeague,
+  getListedLeagueFilter
+} = require("../../utils/visibility");
+
+const user = () => ({ _id: new mongoose.Types.ObjectId() });
+
+const admin = user();
+const player = user();
+const rejected = user();
+const waiting = user();
+const stranger = user();
+
+const league = (visibility) => ({
+  visibility,
+  admin: admin._id,
+  participants: [
+    { userId: player._id, status: 'approved' },
+    { userId: rejected._id, status: 'rejected' }
+  ],
+  waitlist: [{ userId: waiting._id }]
+});
+
+test("leagues from before the setting are public", () => {
+  assert.equal(isListedLeague({}), true);
+  assert.equal(canViewLeague({}, null), true);
+});
+
+test("members are the admin, participants and waitlisted users", () => {
+  const ids = getLeagueMemberIds(league('private'));
+  assert.deepEqual(ids.sort(), [admin, player, waiting].map(u => u._id.toString()).sort());
+});
+
+test("a private league is only visible to its members", () => {
+  const hidden = league('private');
+  [admin, player, waiting].forEach(u => assert.equal(canViewLeague(hidden, u), true));
+  [rejected, stranger, null].forEach(u => assert.equal(canViewLeague(hidden, u), false));
+});
+
+test("an unlisted league opens for anyone but is only listed for members", () => {
+  const unlisted = league('unlisted');
+  assert.equal(canViewLeague(unlisted, stranger), true);
+  assert.equal(canViewLeague(unlisted, null), true);
+  assert.equal(canListLeague(unlisted, stranger), false);
+  assert.equal(canListLeague(unlisted, player), true);
+  assert.equal(canListLeague(league('public'), stranger), true);
+});
+
+test("the list query adds the user's own leagues to the public ones", () => {
+  const listed = { visibility: { $nin: ['unlisted', 'private'] } };
+  assert.deepEqual(getListedLeagueFilter(null), listed);
+
+  const filter = getListedLeagueFilter(player);
+  assert.deepEqual(filter.$or[0], listed);
+  assert.deepEqual(filter.$or[1], { admin: player._id });
+  assert.equal(filter.$or.length, 4);
+});
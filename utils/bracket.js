@@ -0,0 +1,156 @@
+// Knockout bracket helpers shared by the league controller
+
+const { shuffle } = require("./fixtures");
+const { getMatchWinner } = require("./results");
+
+const nextPowerOfTwo = (count) => {
+  let size = 2;
+  while (size < count) size *= 2;
+  return size;
+};
+
+// Seed numbers in bracket slot order, e.g. size 8 -> [1, 8, 4, 5, 2, 7, 3, 6].
+// Seed 1 meets the lowest seed and the top two seeds can only meet in the final.
+const seedSlotOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+};
+
+const getRoundName = (roundNumber, totalRounds) => {
+  const remaining = totalRounds - roundNumber;
+  if (remaining === 0) return 'Final';
+  if (remaining === 1) return 'Semi-finals';
+  if (remaining === 2) return 'Quarter-finals';
+  return `Round of ${Math.pow(2, remaining + 1)}`;
+};
+
+// Order team names by the requested seeding method
+const orderSeeds = (teamNames, { seedingMethod = 'random', seeds } = {}) => {
+  if (seedingMethod === 'joinOrder') {
+    return { seeded: [...teamNames] };
+  }
+
+  if (seedingMethod === 'manual') {
+    if (!Array.isArray(seeds) || seeds.length !== teamNames.length) {
+      return { error: 'Manual seeding requires a seeds array listing every team once' };
+    }
+    const unknown = seeds.find(name => !teamNames.includes(name));
+    if (unknown !== undefined || new Set(seeds).size !== seeds.length) {
+      return { error: 'Manual seeding requires a seeds array listing every team once' };
+    }
+    return { seeded: [...seeds] };
+  }
+
+  if (seedingMethod !== 'random') {
+    return { error: 'seedingMethod must be random, joinOrder or manual' };
+  }
+
+  return { seeded: shuffle(teamNames) };
+};
+
+const getKnockoutMatches = (matches) => matches.filter(m => m.stage === 'knockout');
+
+const getKnockoutRoundCount = (matches) =>
+  getKnockoutMatches(matches).reduce((max, m) => Math.max(max, m.roundNumber), 0);
+
+const getKnockoutFinal = (matches) => {
+  const totalRounds = getKnockoutRoundCount(matches);
+  return getKnockoutMatches(matches).find(m => m.roundNumber === totalRounds) || null;
+};
+
+// 'home' or 'away' for the side that goes through, null while undecided
+const getKnockoutWinnerSide = (match) => {
+  if (match.isBye) return match.homeTeam ? 'home' : (match.awayTeam ? 'away' : null);
+  if (!match.played) return null;
+  const winner = getMatchWinner(match);
+  return winner === 'draw' ? null : winner;
+};
+
+const getKnockoutWinner = (match) => {
+  const side = getKnockoutWinnerSide(match);
+  return side ? match[`${side}Team`] : null;
+};
+
+// The match the winner of `match` moves on to, and which side they take
+const findNextKnockoutMatch = (matches, match) => {
+  const next = getKnockoutMatches(matches).find(m =>
+    m.roundNumber === match.roundNumber + 1 &&
+    m.bracketPosition === Math.floor(match.bracketPosition / 2)
+  );
+  if (!next) return null;
+  return { match: next, slot: match.bracketPosition % 2 === 0 ? 'homeTeam' : 'awayTeam' };
+};
+
+const advanceKnockoutWinner = (matches, match) => {
+  const next = findNextKnockoutMatch(matches, match);
+  if (!next) return null;
+  const side = getKnockoutWinnerSide(match);
+  next.match[next.slot] = side ? match[`${side}Team`] : '';
+  next.match[`${next.slot}Id`] = side ? match[`${side}TeamId`] || null : null;
+  return next.match;
+};
+
+// Build every round of a single-elimination bracket up front. Missing seeds up
+// to the next power of two become byes: the seeded team walks over and is
+// placed straight into its second-round match.
+const buildKnockoutBracket = (seededTeams, { startMatchNumber = 1 } = {}) => {
+  const size = nextPowerOfTwo(seededTeams.length);
+  const totalRounds = Math.log2(size);
+  const slots = seedSlotOrder(size).map(seed => seededTeams[seed - 1] || null);
+  const matches = [];
+  let matchNumber = startMatchNumber;
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const matchCount = size / Math.pow(2, round);
+    for (let position = 0; position < matchCount; position++) {
+      const match = {
+        homeTeam: '',
+        awayTeam: '',
+        homeGoals: 0,
+        awayGoals: 0,
+        played: false,
+        matchNumber: matchNumber++,
+        roundNumber: round,
+        stage: 'knockout',
+        bracketPosition: position,
+        isBye: false
+      };
+
+      if (round === 1) {
+        const home = slots[position * 2];
+        const away = slots[position * 2 + 1];
+        match.homeTeam = home || away;
+        match.awayTeam = home && away ? away : '';
+        match.isBye = !(home && away);
+        match.played = match.isBye;
+        match.winner = match.isBye ? 'home' : '';
+      }
+
+      matches.push(match);
+    }
+  }
+
+  matches
+    .filter(m => m.isBye)
+    .forEach(m => advanceKnockoutWinner(matches, m));
+
+  return { matches, size, totalRounds };
+};
+
+module.exports = {
+  nextPowerOfTwo,
+  getRoundName,
+  orderSeeds,
+  getKnockoutMatches,
+  getKnockoutRoundCount,
+  getKnockoutFinal,
+  getKnockoutWinnerSide,
+  getKnockoutWinner,
+  findNextKnockoutMatch,
+  advanceKnockoutWinner,
+  buildKnockoutBracket
+};
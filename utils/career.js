@@ -0,0 +1,245 @@
+// Cross-league career aggregation for a single user
+
+const { getTotalGoals, getMatchWinner, isCountedMatch } = require("./results");
+const { getTeamKey, getRowKey, findMatchOwner } = require("./teams");
+
+const FORM_LENGTH = 5;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const getSeasonLabel = (league) =>
+  `${new Date(league.startDate).getFullYear()}-${new Date(league.endDate).getFullYear()}`;
+
+const emptyRecord = () => ({
+  played: 0,
+  won: 0,
+  drawn: 0,
+  lost: 0,
+  goalsFor: 0,
+  goalsAgainst: 0,
+  goalDifference: 0
+});
+
+// Add one played match to a record from the point of view of `side`
+const addMatch = (record, match, side) => {
+  const goals = getTotalGoals(match);
+  const outcome = getMatchWinner(match);
+  const other = side === 'home' ? 'away' : 'home';
+
+  record.played++;
+  record.goalsFor += goals[side];
+  record.goalsAgainst += goals[other];
+  record.goalDifference = record.goalsFor - record.goalsAgainst;
+  if (outcome === 'draw') record.drawn++;
+  else if (outcome === side) record.won++;
+  else record.lost++;
+
+  return outcome === 'draw' ? 'D' : (outcome === side ? 'W' : 'L');
+};
+
+// Titles the user won in a league, from previousWinners plus a current winner
+// that has not been archived there yet
+const getLeagueTitles = (userId, league) => {
+  const titles = (league.previousWinners || [])
+    .filter(w => sameId(w.userId, userId))
+    .map(w => ({
+      leagueId: league._id,
+      leagueName: league.name,
+      teamName: w.teamName,
+      season: w.season || '',
+      awardedAt: w.awardedAt || null
+    }));
+
+  const winner = league.winner;
+  if (winner?.teamName && sameId(winner.userId, userId)) {
+    const season = getSeasonLabel(league);
+    const archived = titles.some(t => t.teamName === winner.teamName && t.season === season);
+    if (!archived) {
+      titles.push({
+        leagueId: league._id,
+        leagueName: league.name,
+        teamName: winner.teamName,
+        season,
+        awardedAt: winner.awardedAt || null
+      });
+    }
+  }
+
+  return titles;
+};
+
+// Archived seasons are read as completed leagues of their own. Their winner is
+// already in the league's previousWinners, so titles are deduplicated below.
+const seasonAsLeague = (season) => ({
+  _id: season.leagueId,
+  seasonId: season._id,
+  name: season.name,
+  status: 'completed',
+  format: season.format,
+  startDate: season.startDate,
+  endDate: season.endDate,
+  participants: season.participants,
+  teams: season.teams,
+  matches: season.matches,
+  winner: season.winner,
+  previousWinners: []
+});
+
+// Side of `match` that `userId` played, or null. Matches of a team that
+// changed hands belong to whoever owned it when they were played.
+const getUserSide = (league, match, userId) =>
+  ['home', 'away'].find(side => sameId(findMatchOwner(league.participants, match, side)?.userId, userId)) || null;
+
+// Entries that make `userId` part of a league's career record. Pending,
+// rejected and unconfirmed entries never played for the league.
+const isPlayingEntry = (participant, userId) =>
+  sameId(participant.userId, userId) && ['approved', 'withdrawn'].includes(participant.status);
+
+// Career record of `userId` across the given leagues. Every played match of
+// the user's teams counts, including knockout rounds; shootout goals do not.
+// A player who withdrew keeps the matches played before the withdrawal.
+const buildCareer = (userId, leagues) => {
+  const total = emptyRecord();
+  const results = [];
+  const titles = [];
+
+  const leagueRows = leagues
+    .filter(league => (league.participants || []).some(p => isPlayingEntry(p, userId)))
+    .map(league => {
+      const ownParticipants = league.participants.filter(p => isPlayingEntry(p, userId));
+      const teamNames = [...new Set(ownParticipants.map(p => p.teamName))];
+      const currentTeams = new Set(
+        ownParticipants.filter(p => p.status === 'approved').map(p => getTeamKey(p.teamId, p.teamName))
+      );
+      const record = emptyRecord();
+
+      (league.matches || [])
+        .filter(m => isCountedMatch(m) && !m.isBye)
+        .forEach(match => {
+          const side = getUserSide(league, match, userId);
+          if (!side) return;
+          addMatch(total, match, side);
+          const result = addMatch(record, match, side);
+          results.push({
+            result,
+            date: match.playedAt || match.date,
+            leagueId: league._id,
+            opponent: side === 'home' ? match.awayTeam : match.homeTeam
+          });
+        });
+
+      const leagueTitles = getLeagueTitles(userId, league).filter(title =>
+        !titles.some(t =>
+          sameId(t.leagueId, title.leagueId) && t.teamName === title.teamName && t.season === title.season
+        )
+      );
+      titles.push(...leagueTitles);
+
+      const table = (league.teams || []).find(t => currentTeams.has(getRowKey(t)));
+      const ranked = league.format !== 'knockout' && table && table.position > 0;
+
+      return {
+        leagueId: league._id,
+        seasonId: league.seasonId || null,
+        leagueName: league.name,
+        status: league.status,
+        format: league.format || 'league',
+        teamName: teamNames.join(', '),
+        ...record,
+        // Final position once the league is over, current position before that
+        position: ranked ? table.position : null,
+        groupName: table?.groupName || '',
+        isFinal: league.status === 'completed',
+        titles: leagueTitles.length
+      };
+    });
+
+  // Most recent first
+  results.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return {
+    summary: {
+      leagues: leagueRows.length,
+      ...total,
+      winRate: total.played ? Math.round((total.won / total.played) * 1000) / 10 : 0,
+      titles: titles.length
+    },
+    form: results.slice(0, FORM_LENGTH),
+    leagues: leagueRows,
+    titles
+  };
+};
+
+// All-time record between two users across the leagues they both played in.
+// Each match is resolved to the users who owned its teams when it was played.
+const buildHeadToHead = (userA, userB, leagues) => {
+  const record = {
+    meetings: 0,
+    winsA: 0,
+    winsB: 0,
+    draws: 0,
+    goalsA: 0,
+    goalsB: 0,
+    biggestWinA: null,
+    biggestWinB: null,
+    matches: []
+  };
+
+  leagues.forEach(league => {
+    (league.matches || [])
+      .filter(m => isCountedMatch(m) && !m.isBye)
+      .forEach(match => {
+        const sideA = getUserSide(league, match, userA);
+        const sideB = getUserSide(league, match, userB);
+        if (!sideA || !sideB || sideA === sideB) return;
+
+        const goals = getTotalGoals(match);
+        const outcome = getMatchWinner(match);
+        const winner = outcome === 'draw' ? 'draw' : (outcome === sideA ? 'a' : 'b');
+
+        const entry = {
+          matchId: match._id,
+          leagueId: league._id,
+          leagueName: league.name,
+          stage: match.stage || 'league',
+          roundNumber: match.roundNumber,
+          playedAt: match.playedAt || match.date,
+          homeTeam: match.homeTeam,
+          awayTeam: match.awayTeam,
+          homeGoals: goals.home,
+          awayGoals: goals.away,
+          penalties: match.penalties?.played
+            ? { homeGoals: match.penalties.homeGoals, awayGoals: match.penalties.awayGoals }
+            : null,
+          forfeitedBy: match.forfeitedBy || '',
+          winner
+        };
+
+        record.meetings++;
+        record.goalsA += goals[sideA];
+        record.goalsB += goals[sideB];
+        if (winner === 'a') record.winsA++;
+        else if (winner === 'b') record.winsB++;
+        else record.draws++;
+
+        // Biggest win by goal margin; shootout wins have no margin
+        const margin = Math.abs(goals.home - goals.away);
+        const key = winner === 'a' ? 'biggestWinA' : 'biggestWinB';
+        if (winner !== 'draw' && margin > 0 && (!record[key] || margin > record[key].margin)) {
+          record[key] = { ...entry, margin };
+        }
+
+        record.matches.push(entry);
+      });
+  });
+
+  // Most recent first
+  record.matches.sort((a, b) => new Date(b.playedAt) - new Date(a.playedAt));
+  return record;
+};
+
+module.exports = {
+  seasonAsLeague,
+  buildCareer,
+  buildHeadToHead
+};
@@ -0,0 +1,88 @@
+// Promotion and relegation helpers shared by the competition controller.
+//
+// Between every pair of neighbouring divisions the bottom `promotionSlots`
+// teams of the upper division swap with the top `promotionSlots` of the lower
+// one. With `playoffSlots` the next places on each side meet in play-offs and
+// the winners play in the upper division next season.
+
+const { getMatchWinner } = require("./results");
+
+// Final table of a division, best team first
+const getFinalTable = (league) =>
+  [...(league.teams || [])].sort((a, b) => a.position - b.position);
+
+// Error when a division has too few teams for the places at its boundaries.
+// `tables` are the divisions' tables from the top tier down.
+const getDivisionSizeError = (tables, { promotionSlots, playoffSlots }) => {
+  const perBoundary = promotionSlots + playoffSlots;
+  for (let i = 0; i < tables.length; i++) {
+    const boundaries = (i > 0 ? 1 : 0) + (i < tables.length - 1 ? 1 : 0);
+    if (tables[i].teams.length < perBoundary * boundaries) {
+      return `${tables[i].name} needs at least ${perBoundary * boundaries} teams for its promotion, relegation and play-off places`;
+    }
+  }
+  return null;
+};
+
+// Play-off pairs at one boundary: the best team above the automatic
+// relegation places meets the best team below the automatic promotion places,
+// and so on down. The upper division's team plays at home.
+const getPlayoffPairs = (upperTable, lowerTable, { promotionSlots, playoffSlots }) => {
+  const pairs = [];
+  for (let i = 0; i < playoffSlots; i++) {
+    const upper = upperTable[upperTable.length - promotionSlots - 1 - i];
+    const lower = lowerTable[promotionSlots + i];
+    if (upper && lower) {
+      pairs.push({ homeTeam: upper.name, awayTeam: lower.name });
+    }
+  }
+  return pairs;
+};
+
+// Teams that change division at one boundary, as
+// { teamName, from: 'upper' | 'lower', direction, via, position }.
+// `playoffs` are the played play-offs of this boundary.
+const getBoundaryMovements = (upperTable, lowerTable, settings, playoffs = []) => {
+  const { promotionSlots } = settings;
+  const movements = [];
+
+  upperTable.slice(upperTable.length - promotionSlots).forEach(team => {
+    movements.push({ teamName: team.name, from: 'upper', direction: 'relegated', via: 'automatic', position: team.position });
+  });
+  lowerTable.slice(0, promotionSlots).forEach(team => {
+    movements.push({ teamName: team.name, from: 'lower', direction: 'promoted', via: 'automatic', position: team.position });
+  });
+
+  // A play-off only moves teams when the lower division's team wins it
+  getPlayoffPairs(upperTable, lowerTable, settings).forEach(pair => {
+    const playoff = playoffs.find(p => p.homeTeam === pair.homeTeam && p.awayTeam === pair.awayTeam);
+    if (!playoff || !playoff.played || getMatchWinner(playoff) !== 'away') return;
+
+    const upper = upperTable.find(t => t.name === pair.homeTeam);
+    const lower = lowerTable.find(t => t.name === pair.awayTeam);
+    movements.push({ teamName: upper.name, from: 'upper', direction: 'relegated', via: 'playoff', position: upper.position });
+    movements.push({ teamName: lower.name, from: 'lower', direction: 'promoted', via: 'playoff', position: lower.position });
+  });
+
+  return movements;
+};
+
+// Promotion, relegation or play-off zone of every position in a division
+const getDivisionZones = (table, { promotionSlots, playoffSlots }, { isTop, isBottom }) =>
+  table.map((team, index) => {
+    const fromBottom = table.length - 1 - index;
+    let zone = '';
+    if (!isTop && index < promotionSlots) zone = 'promotion';
+    else if (!isTop && index < promotionSlots + playoffSlots) zone = 'promotion_playoff';
+    else if (!isBottom && fromBottom < promotionSlots) zone = 'relegation';
+    else if (!isBottom && fromBottom < promotionSlots + playoffSlots) zone = 'relegation_playoff';
+    return { teamName: team.name, position: team.position, points: team.points, zone };
+  });
+
+module.exports = {
+  getFinalTable,
+  getDivisionSizeError,
+  getPlayoffPairs,
+  getBoundaryMovements,
+  getDivisionZones
+};
@@ -0,0 +1,178 @@
+// Match event helpers: goals, assists and cards
+
+const { getTotalGoals, isCountedMatch } = require("./results");
+const { getRowKey, getSideKey } = require("./teams");
+
+const EVENT_TYPES = ['goal', 'yellow_card', 'red_card'];
+
+// Fair play deductions per card
+const CARD_POINTS = { yellow_card: -1, red_card: -3 };
+
+const MAX_MINUTE = 150;
+
+const cleanName = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const countGoals = (events, side) => events.filter(e => e.type === 'goal' && e.team === side).length;
+
+// Goal events add up to the match score, or no goals were recorded at all
+const goalsMatchScore = (events, match) => {
+  if (!events.some(e => e.type === 'goal')) return true;
+  const goals = getTotalGoals(match);
+  return countGoals(events, 'home') === goals.home && countGoals(events, 'away') === goals.away;
+};
+
+// Validate a full list of events for a played match. When goals are listed
+// they must add up to the final score (extra time included, shootout
+// excluded); a list with no goals means the scorers were not recorded. For an
+// own goal `team` is the side credited with the goal and the scorer plays for
+// the other.
+// Returns { events } or { error }.
+const validateMatchEvents = (events, match) => {
+  if (!Array.isArray(events)) {
+    return { error: "events must be an array" };
+  }
+  if (!match.played) {
+    return { error: "Events can only be recorded for played matches" };
+  }
+
+  const cleaned = [];
+  for (const [index, event] of events.entries()) {
+    const label = `Event ${index + 1}`;
+    if (!event || !EVENT_TYPES.includes(event.type)) {
+      return { error: `${label}: type must be one of ${EVENT_TYPES.join(', ')}` };
+    }
+    if (!['home', 'away'].includes(event.team)) {
+      return { error: `${label}: team must be home or away` };
+    }
+
+    const player = cleanName(event.player);
+    if (!player) {
+      return { error: `${label}: player is required` };
+    }
+
+    let minute = null;
+    if (event.minute !== undefined && event.minute !== null && event.minute !== '') {
+      minute = parseInt(event.minute);
+      if (Number.isNaN(minute) || minute < 0 || minute > MAX_MINUTE) {
+        return { error: `${label}: minute must be between 0 and ${MAX_MINUTE}` };
+      }
+    }
+
+    const ownGoal = event.type === 'goal' && event.ownGoal === true;
+    const assist = event.type === 'goal' && !ownGoal ? cleanName(event.assist) : '';
+    if (assist && assist === player) {
+      return { error: `${label}: a player cannot assist their own goal` };
+    }
+
+    cleaned.push({ type: event.type, team: event.team, player, assist, minute, ownGoal });
+  }
+
+  // Goals must match the score
+  if (!goalsMatchScore(cleaned, match)) {
+    const goals = getTotalGoals(match);
+    const side = countGoals(cleaned, 'home') !== goals.home ? 'home' : 'away';
+    return { error: `${side === 'home' ? match.homeTeam : match.awayTeam} scored ${goals[side]} but ${countGoals(cleaned, side)} goal events were given` };
+  }
+
+  // At most two yellow cards and one red card per player
+  const cards = new Map();
+  for (const event of cleaned.filter(e => e.type !== 'goal')) {
+    const key = `${event.team}:${event.player}`;
+    const count = cards.get(key) || { yellow_card: 0, red_card: 0 };
+    count[event.type]++;
+    if (count.yellow_card > 2 || count.red_card > 1) {
+      return { error: `${event.player} has too many cards` };
+    }
+    cards.set(key, count);
+  }
+
+  cleaned.sort((a, b) => (a.minute ?? MAX_MINUTE + 1) - (b.minute ?? MAX_MINUTE + 1));
+  return { events: cleaned };
+};
+
+// Side the player of an event plays for. Own goals are credited to the
+// other side, so the scorer belongs to the opponent.
+const getPlayerSide = (event) =>
+  event.ownGoal ? (event.team === 'home' ? 'away' : 'home') : event.team;
+
+// Team the player of an event plays for
+const getPlayerTeam = (match, event) =>
+  getPlayerSide(event) === 'home' ? match.homeTeam : match.awayTeam;
+
+// Fair play points (card deductions) per team key
+const calculateFairPlay = (teams, matches) => {
+  const points = new Map(teams.map(t => [getRowKey(t), 0]));
+  matches.filter(isCountedMatch).forEach(match => {
+    (match.events || []).forEach(event => {
+      const deduction = CARD_POINTS[event.type];
+      const key = getSideKey(match, getPlayerSide(event));
+      if (deduction && points.has(key)) {
+        points.set(key, points.get(key) + deduction);
+      }
+    });
+  });
+  return points;
+};
+
+// Top scorers, top assisters and the discipline table for a set of matches
+const buildLeaders = (matches, { limit = 10 } = {}) => {
+  const players = new Map();
+  const getPlayer = (player, team) => {
+    const key = `${team}\u0000${player}`;
+    if (!players.has(key)) {
+      players.set(key, { player, team, goals: 0, ownGoals: 0, assists: 0, yellowCards: 0, redCards: 0 });
+    }
+    return players.get(key);
+  };
+
+  matches.filter(isCountedMatch).forEach(match => {
+    (match.events || []).forEach(event => {
+      const row = getPlayer(event.player, getPlayerTeam(match, event));
+      if (event.type === 'goal') {
+        if (event.ownGoal) row.ownGoals++;
+        else row.goals++;
+        if (event.assist) getPlayer(event.assist, getPlayerTeam(match, event)).assists++;
+      } else if (event.type === 'yellow_card') {
+        row.yellowCards++;
+      } else if (event.type === 'red_card') {
+        row.redCards++;
+      }
+    });
+  });
+
+  const rows = [...players.values()];
+  const byName = (a, b) => a.player.localeCompare(b.player);
+
+  return {
+    topScorers: rows
+      .filter(r => r.goals > 0)
+      .sort((a, b) => b.goals - a.goals || b.assists - a.assists || byName(a, b))
+      .slice(0, limit)
+      .map(({ player, team, goals, assists }) => ({ player, team, goals, assists })),
+    topAssists: rows
+      .filter(r => r.assists > 0)
+      .sort((a, b) => b.assists - a.assists || b.goals - a.goals || byName(a, b))
+      .slice(0, limit)
+      .map(({ player, team, assists, goals }) => ({ player, team, assists, goals })),
+    discipline: rows
+      .filter(r => r.yellowCards > 0 || r.redCards > 0)
+      .map(({ player, team, yellowCards, redCards }) => ({
+        player,
+        team,
+        yellowCards,
+        redCards,
+        fairPlayPoints: yellowCards * CARD_POINTS.yellow_card + redCards * CARD_POINTS.red_card
+      }))
+      .sort((a, b) => a.fairPlayPoints - b.fairPlayPoints || byName(a, b))
+      .slice(0, limit)
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  CARD_POINTS,
+  validateMatchEvents,
+  goalsMatchScore,
+  calculateFairPlay,
+  buildLeaders
+};
@@ -0,0 +1,40 @@
+// Validation for match evidence images
+
+const MAX_EVIDENCE_BYTES = 5 * 1024 * 1024;
+const MAX_EVIDENCE_PER_MATCH = 10;
+
+// Allowed types with the file signature each one must start with
+const IMAGE_TYPES = {
+  'image/png': { extension: 'png', matches: (b) => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  'image/jpeg': { extension: 'jpg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/gif': { extension: 'gif', matches: (b) => b.length >= 6 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+  'image/webp': { extension: 'webp', matches: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+};
+
+// Check an uploaded body against the declared content type.
+// Returns { extension } or { error }.
+const validateEvidenceImage = (buffer, contentType = '') => {
+  const type = IMAGE_TYPES[contentType.split(';')[0].trim().toLowerCase()];
+
+  if (!type) {
+    return { error: `Evidence must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}` };
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: "No image was uploaded" };
+  }
+  if (buffer.length > MAX_EVIDENCE_BYTES) {
+    return { error: `Evidence images must be ${MAX_EVIDENCE_BYTES / (1024 * 1024)}MB or smaller` };
+  }
+  // The declared type must match the file contents
+  if (!type.matches(buffer)) {
+    return { error: "File contents do not match the image type" };
+  }
+
+  return { extension: type.extension };
+};
+
+module.exports = {
+  MAX_EVIDENCE_BYTES,
+  MAX_EVIDENCE_PER_MATCH,
+  validateEvidenceImage
+};
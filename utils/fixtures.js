@@ -0,0 +1,148 @@
+// Fixture generation helpers shared by the league controller
+
+const GROUP_NAMES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Fisher-Yates shuffle, returns a new array
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Round-robin using the circle method: the first slot stays fixed while the
+// others rotate one position per round. With an odd number of teams an empty
+// slot is added and whoever is drawn against it sits the round out (bye).
+// Home/away alternates by round for the fixed slot and by pairing index for
+// the rest. With an even number of teams that leaves everyone within one game
+// of a home/away balance; with an odd number the empty slot takes the fixed
+// place, so the round-based alternation lands on the byes and every team gets
+// exactly as many home games as away games.
+const buildRoundRobin = (teamNames, { legs = 1 } = {}) => {
+  const slots = [...teamNames];
+  if (slots.length % 2 === 1) {
+    slots.unshift(null);
+  }
+
+  const slotCount = slots.length;
+  const roundsPerLeg = slotCount - 1;
+  const rounds = [];
+
+  for (let round = 0; round < roundsPerLeg; round++) {
+    const fixtures = [];
+    const byes = [];
+
+    for (let i = 0; i < slotCount / 2; i++) {
+      const first = slots[i];
+      const second = slots[slotCount - 1 - i];
+
+      if (first === null || second === null) {
+        byes.push(first === null ? second : first);
+        continue;
+      }
+
+      const swap = i === 0 ? round % 2 === 1 : i % 2 === 1;
+      fixtures.push(swap
+        ? { home: second, away: first }
+        : { home: first, away: second });
+    }
+
+    rounds.push({ roundNumber: round + 1, leg: 1, fixtures, byes });
+
+    // Rotate every slot except the first one
+    slots.splice(1, 0, slots.pop());
+  }
+
+  // Second leg mirrors the first with home and away swapped
+  if (legs === 2) {
+    const firstLeg = [...rounds];
+    firstLeg.forEach(round => {
+      rounds.push({
+        roundNumber: round.roundNumber + roundsPerLeg,
+        leg: 2,
+        fixtures: round.fixtures.map(f => ({ home: f.away, away: f.home })),
+        byes: [...round.byes]
+      });
+    });
+  }
+
+  return rounds;
+};
+
+// Flatten generated rounds into match documents and bye records
+const roundsToMatches = (rounds, { startMatchNumber = 1, groupName = "", stage = 'league' } = {}) => {
+  const matches = [];
+  const byes = [];
+  let matchNumber = startMatchNumber;
+
+  rounds.forEach(round => {
+    round.fixtures.forEach(fixture => {
+      matches.push({
+        homeTeam: fixture.home,
+        awayTeam: fixture.away,
+        homeGoals: 0,
+        awayGoals: 0,
+        played: false,
+        matchNumber: matchNumber++,
+        roundNumber: round.roundNumber,
+        leg: round.leg,
+        groupName,
+        stage
+      });
+    });
+
+    round.byes.forEach(teamName => {
+      byes.push({ teamName, roundNumber: round.roundNumber, groupName });
+    });
+  });
+
+  return { matches, byes };
+};
+
+// Draw teams into groups. A random draw deals shuffled teams one group at a
+// time; a pot draw takes one team from each pot per group so that teams from
+// the same pot are spread across groups.
+const drawGroups = (teamNames, { groupCount, drawMethod = 'random', pots } = {}) => {
+  if (!Number.isInteger(groupCount) || groupCount < 1 || groupCount > GROUP_NAMES.length) {
+    return { error: `groupCount must be between 1 and ${GROUP_NAMES.length}` };
+  }
+  if (teamNames.length < groupCount * 2) {
+    return { error: "Every group needs at least 2 teams" };
+  }
+
+  let drawOrder;
+  if (drawMethod === 'pots') {
+    const potTeams = Array.isArray(pots) ? pots.flat() : [];
+    const coversEveryTeam = potTeams.length === teamNames.length &&
+      new Set(potTeams).size === potTeams.length &&
+      potTeams.every(name => teamNames.includes(name));
+
+    if (!coversEveryTeam) {
+      return { error: "Pots must list every team exactly once" };
+    }
+    drawOrder = pots.flatMap(pot => shuffle(pot));
+  } else if (drawMethod === 'random') {
+    drawOrder = shuffle(teamNames);
+  } else {
+    return { error: "drawMethod must be random or pots" };
+  }
+
+  const groups = Array.from({ length: groupCount }, (_, i) => ({
+    name: GROUP_NAMES[i],
+    teams: []
+  }));
+  drawOrder.forEach((teamName, index) => {
+    groups[index % groupCount].teams.push(teamName);
+  });
+
+  return { groups };
+};
+
+module.exports = {
+  shuffle,
+  drawGroups,
+  buildRoundRobin,
+  roundsToMatches
+};
@@ -0,0 +1,110 @@
+// Standings as they stood after a given round, rebuilt on demand from the
+// match list so no snapshots need to be stored
+
+const {
+  getPointsSystem,
+  computeStandings,
+  getTableMatches,
+  getTiebreakers,
+  buildGroupTables
+} = require("./standings");
+const { calculateBuchholz } = require("./swiss");
+const { calculateFairPlay } = require("./events");
+const { getRowKey, findTeamRow } = require("./teams");
+
+// Fill in every table column of `teams` from the given matches and byes:
+// points and goals, fair play from cards, and Swiss bye points and Buchholz
+const fillTableRows = (league, teams, matches, byes = []) => {
+  const rules = getPointsSystem(league);
+  computeStandings(teams, matches, rules);
+
+  // Card deductions for the fair play tiebreaker
+  const fairPlay = calculateFairPlay(teams, matches);
+  teams.forEach(team => {
+    team.fairPlayPoints = fairPlay.get(getRowKey(team)) || 0;
+  });
+
+  // Swiss: a bye is worth a win and ties are split by Buchholz
+  if (league.format === 'swiss') {
+    byes.forEach(bye => {
+      const team = findTeamRow(teams, bye.teamId, bye.teamName);
+      if (team) team.points += rules.win;
+    });
+
+    const buchholz = calculateBuchholz(teams, matches);
+    teams.forEach(team => {
+      team.buchholz = buchholz.get(getRowKey(team)) || 0;
+    });
+  }
+
+  return teams;
+};
+
+// Last round that counts towards the table
+const getTableRoundCount = (league) =>
+  getTableMatches(league).reduce((max, m) => Math.max(max, m.roundNumber), 0);
+
+// Last table round with at least one played match
+const getPlayedRoundCount = (league) =>
+  getTableMatches(league)
+    .filter(m => m.played)
+    .reduce((max, m) => Math.max(max, m.roundNumber), 0);
+
+// Ranked tables counting only the matches and byes of rounds 1..round
+const computeTablesAsOf = (league, round) => {
+  const matches = getTableMatches(league).filter(m => m.roundNumber <= round);
+  const byes = (league.byes || []).filter(b => b.roundNumber <= round);
+  const teams = league.teams.map(team => ({
+    name: team.name,
+    teamId: team.teamId,
+    logo: team.logo,
+    groupName: team.groupName || '',
+    seed: team.seed,
+    drawLot: team.drawLot
+  }));
+
+  fillTableRows(league, teams, matches, byes);
+
+  return buildGroupTables(teams, matches, {
+    rules: getPointsSystem(league),
+    tiebreakers: getTiebreakers(league)
+  }).map(table => ({
+    groupName: table.groupName,
+    teams: table.teams.map((team, index) => ({ ...team, position: index + 1 }))
+  }));
+};
+
+// Position and points of every team after each played round
+const buildPositionHistory = (league) => {
+  const roundCount = getPlayedRoundCount(league);
+  const timelines = new Map(league.teams.map(team => [getRowKey(team), {
+    name: team.name,
+    teamId: team.teamId,
+    groupName: team.groupName || '',
+    positions: []
+  }]));
+
+  for (let round = 1; round <= roundCount; round++) {
+    computeTablesAsOf(league, round).forEach(table => {
+      table.teams.forEach(team => {
+        timelines.get(getRowKey(team))?.positions.push({
+          round,
+          position: team.position,
+          points: team.points
+        });
+      });
+    });
+  }
+
+  return {
+    rounds: Array.from({ length: roundCount }, (_, i) => i + 1),
+    teams: [...timelines.values()]
+  };
+};
+
+module.exports = {
+  fillTableRows,
+  getTableRoundCount,
+  computeTablesAsOf,
+  buildPositionHistory
+};
@@ -0,0 +1,31 @@
+// Join code and invite token helpers shared by the league model and controller
+
+const crypto = require("crypto");
+
+// No 0/O or 1/I so codes survive being read out or typed from a screenshot.
+// 32 symbols, so every random byte maps onto the alphabet without bias.
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const generateJoinCode = () =>
+  [...crypto.randomBytes(JOIN_CODE_LENGTH)]
+    .map(byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length])
+    .join('');
+
+const generateInviteToken = () => crypto.randomBytes(18).toString('base64url');
+
+// Why an invite cannot be redeemed right now, or null when it can
+const getInviteError = (invite, now = new Date()) => {
+  if (invite.revokedAt) return "This invite has been revoked";
+  if (invite.expiresAt && invite.expiresAt <= now) return "This invite has expired";
+  if (invite.maxUses && invite.redemptions.length >= invite.maxUses) {
+    return "This invite has already been used the maximum number of times";
+  }
+  return null;
+};
+
+module.exports = {
+  generateJoinCode,
+  generateInviteToken,
+  getInviteError
+};
@@ -0,0 +1,147 @@
+// Elo-style player ratings built from every rated match across all leagues.
+//
+// Matches are rated in the order they were played. A changed result rewinds
+// every rating to where it stood before that match and replays the matches
+// since, so editing an old result gives the same ratings as if it had been
+// entered correctly the first time. Ratings are kept to one decimal after
+// every match, which lets a rewind start from the stored history and end up
+// exactly where a full rebuild would.
+
+const { getTotalGoals, isCountedMatch } = require("./results");
+const { findMatchOwner } = require("./teams");
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const getRatingConfig = () => ({
+  kFactor: parseNumber(process.env.RATING_K_FACTOR, 32),
+  initialRating: parseNumber(process.env.RATING_INITIAL, 1500),
+  marginWeighting: process.env.RATING_MARGIN_WEIGHTING !== 'false'
+});
+
+const expectedScore = (rating, opponentRating) =>
+  1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+// Bigger wins move ratings further: x1 for one goal, x1.5 for two, then
+// (11 + margin) / 8
+const getMarginMultiplier = (margin, config) => {
+  if (!config.marginWeighting || margin <= 1) return 1;
+  if (margin === 2) return 1.5;
+  return (11 + margin) / 8;
+};
+
+// Forfeits and byes say nothing about skill; a shootout counts as a draw
+const isRatedMatch = (match) => isCountedMatch(match) && !match.isBye && !match.forfeitedBy;
+
+const getMatchScore = (match) => {
+  const goals = getTotalGoals(match);
+  if (goals.home === goals.away) return { home: 0.5, margin: 0 };
+  return { home: goals.home > goals.away ? 1 : 0, margin: Math.abs(goals.home - goals.away) };
+};
+
+// Rated matches of one league, or one archived season of it, as
+// { homeUserId, awayUserId, ... } entries. Each match is rated for the users
+// who owned the two teams when it was played.
+const getLeagueRatingMatches = (league) => {
+  const userOf = (match, side) => findMatchOwner(league.participants, match, side)?.userId?.toString();
+
+  return (league.matches || [])
+    .filter(isRatedMatch)
+    .map(match => ({
+      match,
+      leagueId: league.leagueId || league._id,
+      homeUserId: userOf(match, 'home'),
+      awayUserId: userOf(match, 'away'),
+      playedAt: match.playedAt || match.date
+    }))
+    .filter(m => m.homeUserId && m.awayUserId && m.homeUserId !== m.awayUserId);
+};
+
+const roundRating = (rating) => Math.round(rating * 10) / 10;
+
+const createRow = (userId, config) => ({
+  userId,
+  rating: config.initialRating,
+  peakRating: config.initialRating,
+  matchesPlayed: 0,
+  wins: 0,
+  draws: 0,
+  losses: 0,
+  history: []
+});
+
+// Rating rows as they stood before `from`, worked out from their history.
+// Rows without a match before then are left out.
+const rewindRatings = (rows, from, config = getRatingConfig()) =>
+  rows
+    .map(row => {
+      const rewound = createRow(row.userId.toString(), config);
+      rewound.history = row.history.filter(h => new Date(h.playedAt) < from);
+      rewound.history.forEach(h => {
+        rewound.rating = h.rating;
+        rewound.peakRating = Math.max(rewound.peakRating, h.rating);
+        rewound.matchesPlayed++;
+        if (h.result === 'W') rewound.wins++;
+        else if (h.result === 'L') rewound.losses++;
+        else rewound.draws++;
+      });
+      return rewound;
+    })
+    .filter(row => row.matchesPlayed > 0);
+
+// Replay the rated matches in order and return one rating row per user.
+// With `from`, only matches played from then on are replayed on top of
+// `ratings`, the rows rewound to that point; without it every match is.
+const computeRatings = (leagues, { config = getRatingConfig(), from = null, ratings = [] } = {}) => {
+  const entries = leagues
+    .flatMap(getLeagueRatingMatches)
+    .filter(entry => !from || new Date(entry.playedAt) >= from)
+    .sort((a, b) =>
+      new Date(a.playedAt) - new Date(b.playedAt) ||
+      a.match._id.toString().localeCompare(b.match._id.toString())
+    );
+
+  const rows = new Map(ratings.map(row => [row.userId.toString(), { ...row, history: [...row.history] }]));
+  const getRow = (userId) => {
+    if (!rows.has(userId)) rows.set(userId, createRow(userId, config));
+    return rows.get(userId);
+  };
+
+  entries.forEach(({ match, leagueId, homeUserId, awayUserId, playedAt }) => {
+    const home = getRow(homeUserId);
+    const away = getRow(awayUserId);
+    const score = getMatchScore(match);
+    const multiplier = getMarginMultiplier(score.margin, config);
+    const change = config.kFactor * multiplier * (score.home - expectedScore(home.rating, away.rating));
+
+    [[home, away, change, score.home], [away, home, -change, 1 - score.home]].forEach(([row, opponent, delta, result]) => {
+      row.rating = roundRating(row.rating + delta);
+      row.peakRating = Math.max(row.peakRating, row.rating);
+      row.matchesPlayed++;
+      if (result === 1) row.wins++;
+      else if (result === 0) row.losses++;
+      else row.draws++;
+      row.history.push({
+        matchId: match._id,
+        leagueId,
+        opponentId: opponent.userId,
+        result: result === 1 ? 'W' : result === 0 ? 'L' : 'D',
+        change: roundRating(delta),
+        rating: row.rating,
+        playedAt
+      });
+    });
+  });
+
+  return [...rows.values()];
+};
+
+module.exports = {
+  getRatingConfig,
+  expectedScore,
+  getMarginMultiplier,
+  rewindRatings,
+  computeRatings
+};
@@ -0,0 +1,188 @@
+// Match result helpers shared by the league controller and standings
+
+const parseGoals = (value) => {
+  const goals = parseInt(value);
+  return Number.isNaN(goals) || goals < 0 ? null : goals;
+};
+
+// Optional { homeGoals, awayGoals } pair such as an extra-time or shootout score
+const parseScorePair = (pair, label) => {
+  if (pair === undefined || pair === null) return { score: null };
+
+  const homeGoals = parseGoals(pair.homeGoals);
+  const awayGoals = parseGoals(pair.awayGoals);
+  if (homeGoals === null || awayGoals === null) {
+    return { error: `${label} goals must be valid non-negative numbers` };
+  }
+  return { score: { homeGoals, awayGoals } };
+};
+
+// Goals that count for the scoreline and stats: regular time plus extra time.
+// Penalty shootout goals never count.
+const getTotalGoals = (match) => ({
+  home: match.homeGoals + (match.extraTime?.played ? match.extraTime.homeGoals : 0),
+  away: match.awayGoals + (match.extraTime?.played ? match.extraTime.awayGoals : 0)
+});
+
+// 'home', 'away' or 'draw' for a played match
+const getMatchWinner = (match) => {
+  const total = getTotalGoals(match);
+  if (total.home !== total.away) return total.home > total.away ? 'home' : 'away';
+  if (match.penalties?.played) {
+    return match.penalties.homeGoals > match.penalties.awayGoals ? 'home' : 'away';
+  }
+  return 'draw';
+};
+
+// Validate a submitted result. Accepts homeGoals/awayGoals, an optional
+// forfeitedBy side (scored 3-0 to the opponent when no score is given), and
+// optional extraTime and penalties score pairs.
+const parseMatchResult = (body = {}) => {
+  const { forfeitedBy = '' } = body;
+  let { homeGoals, awayGoals } = body;
+
+  if (!['', 'home', 'away'].includes(forfeitedBy)) {
+    return { error: "forfeitedBy must be home or away" };
+  }
+
+  if (forfeitedBy && homeGoals === undefined && awayGoals === undefined) {
+    homeGoals = forfeitedBy === 'away' ? 3 : 0;
+    awayGoals = forfeitedBy === 'home' ? 3 : 0;
+  }
+
+  if (homeGoals === undefined || awayGoals === undefined) {
+    return { error: "homeGoals and awayGoals are required" };
+  }
+
+  const result = {
+    homeGoals: parseGoals(homeGoals),
+    awayGoals: parseGoals(awayGoals),
+    forfeitedBy,
+    extraTime: null,
+    penalties: null
+  };
+  if (result.homeGoals === null || result.awayGoals === null) {
+    return { error: "Goals must be valid non-negative numbers" };
+  }
+
+  const extraTime = parseScorePair(body.extraTime, 'Extra time');
+  if (extraTime.error) return { error: extraTime.error };
+  const penalties = parseScorePair(body.penalties, 'Penalty shootout');
+  if (penalties.error) return { error: penalties.error };
+  result.extraTime = extraTime.score;
+  result.penalties = penalties.score;
+
+  if (forfeitedBy) {
+    if (result.extraTime || result.penalties) {
+      return { error: "A forfeit cannot include extra time or penalties" };
+    }
+    const forfeiting = forfeitedBy === 'home' ? result.homeGoals : result.awayGoals;
+    const opponent = forfeitedBy === 'home' ? result.awayGoals : result.homeGoals;
+    if (forfeiting >= opponent) {
+      return { error: "The team that forfeits must lose the match" };
+    }
+  }
+
+  if (result.extraTime && result.homeGoals !== result.awayGoals) {
+    return { error: "Extra time can only follow a draw in regular time" };
+  }
+
+  if (result.penalties) {
+    const extraHome = result.extraTime ? result.extraTime.homeGoals : 0;
+    const extraAway = result.extraTime ? result.extraTime.awayGoals : 0;
+    if (result.homeGoals + extraHome !== result.awayGoals + extraAway) {
+      return { error: "A penalty shootout can only follow a draw" };
+    }
+    if (result.penalties.homeGoals === result.penalties.awayGoals) {
+      return { error: "A penalty shootout must have a winner" };
+    }
+  }
+
+  return { result };
+};
+
+// Winner the parsed result would produce, without touching the match
+const getResultWinner = (result) => getMatchWinner({
+  homeGoals: result.homeGoals,
+  awayGoals: result.awayGoals,
+  extraTime: { played: !!result.extraTime, ...result.extraTime },
+  penalties: { played: !!result.penalties, ...result.penalties }
+});
+
+// Stored { played, homeGoals, awayGoals } form of an optional score pair
+const toScorePair = (score) => ({
+  played: !!score,
+  homeGoals: score?.homeGoals || 0,
+  awayGoals: score?.awayGoals || 0
+});
+
+const fromScorePair = (pair) =>
+  (pair?.played ? { homeGoals: pair.homeGoals, awayGoals: pair.awayGoals } : null);
+
+// Parsed result back from a stored match or result submission
+const getStoredResult = (doc) => ({
+  homeGoals: doc.homeGoals,
+  awayGoals: doc.awayGoals,
+  forfeitedBy: doc.forfeitedBy || '',
+  extraTime: fromScorePair(doc.extraTime),
+  penalties: fromScorePair(doc.penalties)
+});
+
+const isSameResult = (a, b) => {
+  const samePair = (x, y) => (!x && !y) ||
+    (!!x && !!y && x.homeGoals === y.homeGoals && x.awayGoals === y.awayGoals);
+  return a.homeGoals === b.homeGoals &&
+    a.awayGoals === b.awayGoals &&
+    a.forfeitedBy === b.forfeitedBy &&
+    samePair(a.extraTime, b.extraTime) &&
+    samePair(a.penalties, b.penalties);
+};
+
+// Played and not voided: the match counts for tables, stats and ratings
+const isCountedMatch = (match) => !!match.played && !match.voided;
+
+// Result of a match as recorded in the audit trail
+const getResultSnapshot = (match) => ({
+  played: !!match.played,
+  ...getStoredResult(match),
+  resultStatus: match.resultStatus || 'pending',
+  voided: !!match.voided
+});
+
+// Put a match back to unplayed
+const clearMatchResult = (match) => {
+  match.homeGoals = 0;
+  match.awayGoals = 0;
+  match.forfeitedBy = '';
+  match.extraTime = toScorePair(null);
+  match.penalties = toScorePair(null);
+  match.played = false;
+  match.playedAt = undefined;
+  match.winner = '';
+};
+
+// Write a parsed result onto a match and derive its winner
+const applyMatchResult = (match, result) => {
+  match.homeGoals = result.homeGoals;
+  match.awayGoals = result.awayGoals;
+  match.forfeitedBy = result.forfeitedBy;
+  match.extraTime = toScorePair(result.extraTime);
+  match.penalties = toScorePair(result.penalties);
+  match.played = true;
+  match.playedAt = match.playedAt || new Date();
+  match.winner = getMatchWinner(match);
+};
+
+module.exports = {
+  getTotalGoals,
+  getMatchWinner,
+  parseMatchResult,
+  getResultWinner,
+  toScorePair,
+  getStoredResult,
+  isSameResult,
+  isCountedMatch,
+  getResultSnapshot,
+  clearMatchResult,
+  applyMatchResult
+};
@@ -0,0 +1,282 @@
+// Clinch and elimination calculator shared by the league controller.
+//
+// A team has clinched a top-N place when, even if it loses every remaining
+// match, no combination of other results lets N teams reach its points. It is
+// eliminated when, even if it wins every remaining match, every combination
+// of other results leaves N teams strictly above it. Level points count
+// against the team when clinching and in its favour when eliminating, because
+// tiebreakers can still go either way.
+//
+// Both questions are answered by searching the remaining fixtures. Searches
+// that hit the node limit fall back to the simple points bounds and the row is
+// marked as not exact. Teams are identified by their key (see utils/teams).
+
+const { getPointsSystem, getMaxMatchPoints } = require("./standings");
+const { getRowKey, getSideKey, findTeamRow } = require("./teams");
+const { isCountedMatch } = require("./results");
+const { getKnockoutFinal, getKnockoutWinnerSide } = require("./bracket");
+
+const NODE_LIMIT = 50000;
+
+class SearchLimitReached extends Error {}
+
+const getRemainingFixtures = (matches) =>
+  matches.filter(m => !m.played && !m.voided && !m.isBye && m.homeTeam && m.awayTeam);
+
+const getOutcomes = (rules) => (rules.allowDraws ? ['home', 'draw', 'away'] : ['home', 'away']);
+
+const getOutcomePoints = (outcome, side, rules, withBonus) => {
+  let points = rules.loss;
+  if (outcome === 'draw') points = rules.draw;
+  else if (outcome === side) points = rules.win;
+  return points + (withBonus && rules.goalBonusThreshold > 0 ? rules.goalBonusPoints : 0);
+};
+
+const countRemaining = (fixtures, from) => {
+  const remaining = new Map();
+  for (let i = from; i < fixtures.length; i++) {
+    const homeTeam = getSideKey(fixtures[i], 'home');
+    const awayTeam = getSideKey(fixtures[i], 'away');
+    remaining.set(homeTeam, (remaining.get(homeTeam) || 0) + 1);
+    remaining.set(awayTeam, (remaining.get(awayTeam) || 0) + 1);
+  }
+  return remaining;
+};
+
+// Is there a set of results that brings at least `needed` teams to `threshold` points?
+const canReachThreshold = (startPoints, fixtures, rules, threshold, needed) => {
+  const points = new Map(startPoints);
+  const maxGain = getMaxMatchPoints(rules);
+  const outcomes = getOutcomes(rules);
+  let nodes = 0;
+
+  const search = (index) => {
+    if (++nodes > NODE_LIMIT) throw new SearchLimitReached();
+
+    const remaining = countRemaining(fixtures, index);
+    let reached = 0;
+    let reachable = 0;
+    points.forEach((value, team) => {
+      if (value >= threshold) reached++;
+      else if (value + (remaining.get(team) || 0) * maxGain >= threshold) reachable++;
+    });
+    if (reached >= needed) return true;
+    if (reached + reachable < needed || index === fixtures.length) return false;
+
+    // Try the win for whoever is closest to the threshold first
+    const homeTeam = getSideKey(fixtures[index], 'home');
+    const awayTeam = getSideKey(fixtures[index], 'away');
+    const gap = (team) => {
+      const missing = threshold - points.get(team);
+      return missing > 0 ? missing : Infinity;
+    };
+    const ordered = gap(homeTeam) <= gap(awayTeam)
+      ? outcomes
+      : [...outcomes].reverse();
+
+    for (const outcome of ordered) {
+      const homeGain = getOutcomePoints(outcome, 'home', rules, true);
+      const awayGain = getOutcomePoints(outcome, 'away', rules, true);
+      points.set(homeTeam, points.get(homeTeam) + homeGain);
+      points.set(awayTeam, points.get(awayTeam) + awayGain);
+      const found = search(index + 1);
+      points.set(homeTeam, points.get(homeTeam) - homeGain);
+      points.set(awayTeam, points.get(awayTeam) - awayGain);
+      if (found) return true;
+    }
+    return false;
+  };
+
+  return search(0);
+};
+
+// Is there a set of results that leaves at most `allowedAbove` teams above `cap` points?
+const canStayBelowCap = (startPoints, fixtures, rules, cap, allowedAbove) => {
+  const points = new Map(startPoints);
+  const outcomes = getOutcomes(rules);
+  let nodes = 0;
+
+  const search = (index) => {
+    if (++nodes > NODE_LIMIT) throw new SearchLimitReached();
+
+    let above = 0;
+    points.forEach(value => {
+      if (value > cap) above++;
+    });
+    if (above > allowedAbove) return false;
+    if (index === fixtures.length) return true;
+
+    // Try the win for whoever has the most room under the cap first
+    const homeTeam = getSideKey(fixtures[index], 'home');
+    const awayTeam = getSideKey(fixtures[index], 'away');
+    const room = (team) => (points.get(team) > cap ? Infinity : cap - points.get(team));
+    const ordered = room(homeTeam) >= room(awayTeam)
+      ? outcomes
+      : [...outcomes].reverse();
+
+    for (const outcome of ordered) {
+      const homeGain = getOutcomePoints(outcome, 'home', rules, false);
+      const awayGain = getOutcomePoints(outcome, 'away', rules, false);
+      points.set(homeTeam, points.get(homeTeam) + homeGain);
+      points.set(awayTeam, points.get(awayTeam) + awayGain);
+      const found = search(index + 1);
+      points.set(homeTeam, points.get(homeTeam) - homeGain);
+      points.set(awayTeam, points.get(awayTeam) - awayGain);
+      if (found) return true;
+    }
+    return false;
+  };
+
+  return search(0);
+};
+
+// Does fixture `f` involve the team with key `teamKey`?
+const playsIn = (f, teamKey) => getSideKey(f, 'home') === teamKey || getSideKey(f, 'away') === teamKey;
+
+// Fixed outcome of every remaining match of `teamKey`, from the point of view of its opponents
+const resolveOwnFixtures = (teamKey, fixtures, startPoints, rules, teamWins) => {
+  const points = new Map(startPoints);
+  fixtures
+    .filter(f => playsIn(f, teamKey))
+    .forEach(f => {
+      const opponent = getSideKey(f, 'home') === teamKey ? getSideKey(f, 'away') : getSideKey(f, 'home');
+      const gain = teamWins ? rules.loss : rules.win + (rules.goalBonusThreshold > 0 ? rules.goalBonusPoints : 0);
+      points.set(opponent, points.get(opponent) + gain);
+    });
+  points.delete(teamKey);
+  return points;
+};
+
+const hasClinched = (team, teams, fixtures, rules, topN) => {
+  const teamKey = getRowKey(team);
+  const ownCount = fixtures.filter(f => playsIn(f, teamKey)).length;
+  const minPoints = team.points + ownCount * rules.loss;
+  const others = resolveOwnFixtures(
+    teamKey,
+    fixtures,
+    new Map(teams.map(t => [getRowKey(t), t.points])),
+    rules,
+    false
+  );
+  const otherFixtures = fixtures.filter(f => !playsIn(f, teamKey));
+  return !canReachThreshold(others, otherFixtures, rules, minPoints, topN);
+};
+
+const isEliminated = (team, teams, fixtures, rules, topN) => {
+  const teamKey = getRowKey(team);
+  const ownCount = fixtures.filter(f => playsIn(f, teamKey)).length;
+  const maxPoints = team.points + ownCount * getMaxMatchPoints(rules);
+  const others = resolveOwnFixtures(
+    teamKey,
+    fixtures,
+    new Map(teams.map(t => [getRowKey(t), t.points])),
+    rules,
+    true
+  );
+  const otherFixtures = fixtures.filter(f => !playsIn(f, teamKey));
+  return !canStayBelowCap(others, otherFixtures, rules, maxPoints, topN - 1);
+};
+
+// Used for auto-completion; a search that is too large counts as not clinched
+const isTitleClinched = (team, teams, fixtures, rules) => {
+  try {
+    return hasClinched(team, teams, fixtures, rules, 1);
+  } catch (err) {
+    if (err instanceof SearchLimitReached) return false;
+    throw err;
+  }
+};
+
+// Table row of the team the results have made champion, or null while the
+// title is open. `league.teams` must be in table order. Swiss leagues are
+// decided by their last round, knockout cups and group-stage tournaments by
+// the final, and other leagues once the leader can no longer be caught or
+// every match is played.
+const getTableChampion = (league) => {
+  const { teams, matches } = league;
+
+  if (league.format === 'swiss') {
+    const lastRound = matches.reduce((max, m) => Math.max(max, m.roundNumber), 0);
+    const allPlayed = matches.every(m => m.played || m.voided);
+    return lastRound >= league.swissRounds && allPlayed ? teams[0] || null : null;
+  }
+
+  if (league.format === 'knockout' || league.format === 'groups') {
+    const final = getKnockoutFinal(matches);
+    const side = final ? getKnockoutWinnerSide(final) : null;
+    return side ? findTeamRow(teams, final[`${side}TeamId`], final[`${side}Team`]) : null;
+  }
+
+  if (teams.length < 2) return null;
+  const leader = teams[0];
+  const remainingFixtures = getRemainingFixtures(matches);
+  const seasonFinished = remainingFixtures.length === 0 && matches.some(isCountedMatch);
+  return seasonFinished || isTitleClinched(leader, teams, remainingFixtures, getPointsSystem(league))
+    ? leader
+    : null;
+};
+
+// Clinch and elimination status for every team of one table.
+// `teams` should be in table order; `fixtures` are the table's unplayed matches.
+const calculateScenarios = (teams, fixtures, rules, topN = 1) => {
+  const maxGain = getMaxMatchPoints(rules);
+
+  const bounds = teams.map(team => {
+    const remainingMatches = fixtures.filter(f => playsIn(f, getRowKey(team))).length;
+    return {
+      team,
+      remainingMatches,
+      maxPoints: team.points + remainingMatches * maxGain,
+      minPoints: team.points + remainingMatches * rules.loss
+    };
+  });
+
+  return bounds.map(({ team, remainingMatches, maxPoints, minPoints }) => {
+    // Simple bounds, used when a search is too large to finish
+    const fallback = (n) => ({
+      clinched: bounds.filter(b => b.team !== team && b.maxPoints >= minPoints).length < n,
+      eliminated: bounds.filter(b => b.team !== team && b.minPoints > maxPoints).length >= n
+    });
+
+    let exact = true;
+    const evaluate = (n) => {
+      if (n >= teams.length) return { clinched: true, eliminated: false };
+      try {
+        return {
+          clinched: hasClinched(team, teams, fixtures, rules, n),
+          eliminated: isEliminated(team, teams, fixtures, rules, n)
+        };
+      } catch (err) {
+        if (!(err instanceof SearchLimitReached)) throw err;
+        exact = false;
+        return fallback(n);
+      }
+    };
+
+    const first = evaluate(1);
+    const top = evaluate(topN);
+
+    return {
+      teamName: team.name,
+      teamId: team.teamId,
+      position: team.position,
+      points: team.points,
+      played: team.played,
+      remainingMatches,
+      maxPoints,
+      minPoints,
+      clinchedFirst: first.clinched,
+      eliminatedFromFirst: first.eliminated,
+      clinchedTop: top.clinched,
+      eliminatedFromTop: top.eliminated,
+      exact
+    };
+  });
+};
+
+module.exports = {
+  getRemainingFixtures,
+  isTitleClinched,
+  getTableChampion,
+  calculateScenarios
+};
@@ -0,0 +1,100 @@
+// Matchday calendar helpers shared by the league controller.
+// Dates are handled as whole days in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEARCH_DAYS = 3 * 366;
+
+const toDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(toDay(date).getTime() + days * DAY_MS);
+
+const dayKey = (date) => toDay(date).toISOString().slice(0, 10);
+
+const isMatchDay = (date, { matchDays = [], blackoutDates = [] } = {}) => {
+  const day = toDay(date);
+  if (matchDays.length > 0 && !matchDays.includes(day.getUTCDay())) return false;
+  return !blackoutDates.some(blackout => dayKey(blackout) === dayKey(day));
+};
+
+// First allowed match day strictly after `date`
+const nextMatchDay = (date, settings) => {
+  let day = addDays(date, 1);
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    if (isMatchDay(day, settings)) return day;
+    day = addDays(day, 1);
+  }
+  return null;
+};
+
+// Every allowed match day between two dates, inclusive
+const listMatchDays = (from, to, settings) => {
+  const days = [];
+  for (let day = toDay(from); day <= toDay(to); day = addDays(day, 1)) {
+    if (isMatchDay(day, settings)) days.push(day);
+  }
+  return days;
+};
+
+// True when each team has had at least `minRestDays` full days off since its last game
+const hasEnoughRest = (day, teams, lastPlayed, minRestDays = 0) =>
+  teams.every(team => {
+    const last = lastPlayed.get(team);
+    return !last || (toDay(day) - toDay(last)) / DAY_MS - 1 >= minRestDays;
+  });
+
+// Give each round a date. Rounds are spread evenly over the match days in the
+// window (as if `totalRounds` rounds had to fit), then pushed later when a team
+// would not get its minimum rest. Rounds that cannot fit before `endDate` are
+// still scheduled on the next free match days and reported as overflow.
+const scheduleRounds = (rounds, settings) => {
+  const {
+    startDate,
+    endDate,
+    minRestDays = 0,
+    totalRounds = rounds.length,
+    lastPlayed = new Map()
+  } = settings;
+
+  const window = listMatchDays(startDate, endDate, settings);
+  const dates = new Map();
+  let previous = null;
+  let overflow = false;
+
+  for (let i = 0; i < rounds.length; i++) {
+    const round = rounds[i];
+    const target = window.length >= totalRounds
+      ? window[Math.floor(i * window.length / totalRounds)]
+      : null;
+
+    let day = target && (!previous || target > previous)
+      ? target
+      : nextMatchDay(previous || addDays(startDate, -1), settings);
+
+    while (day && !hasEnoughRest(day, round.teams, lastPlayed, minRestDays)) {
+      day = nextMatchDay(day, settings);
+    }
+    if (!day) {
+      return { error: "No available match day could be found for the schedule" };
+    }
+
+    if (day > toDay(endDate)) overflow = true;
+    round.teams.forEach(team => lastPlayed.set(team, day));
+    dates.set(round.key, day);
+    previous = day;
+  }
+
+  return { dates, overflow };
+};
+
+module.exports = {
+  toDay,
+  addDays,
+  isMatchDay,
+  nextMatchDay,
+  hasEnoughRest,
+  scheduleRounds
+};
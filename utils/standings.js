@@ -0,0 +1,258 @@
+// Standings helpers shared by the league controller and model
+
+const { getTotalGoals, getMatchWinner } = require("./results");
+const { getRowKey, getSideKey } = require("./teams");
+
+const DEFAULT_POINTS_SYSTEM = {
+  win: 3,
+  draw: 1,
+  loss: 0,
+  goalBonusThreshold: 0,
+  goalBonusPoints: 0,
+  forfeitPenalty: 0,
+  allowDraws: true
+};
+
+// League scoring rules with defaults filled in for anything not set
+const getPointsSystem = (league) => {
+  const configured = league?.pointsSystem?.toObject
+    ? league.pointsSystem.toObject()
+    : (league?.pointsSystem || {});
+  const rules = { ...DEFAULT_POINTS_SYSTEM };
+  Object.keys(DEFAULT_POINTS_SYSTEM).forEach(key => {
+    if (configured[key] !== undefined && configured[key] !== null) rules[key] = configured[key];
+  });
+  return rules;
+};
+
+// Most points a team can take from a single match under these rules
+const getMaxMatchPoints = (rules) =>
+  rules.win + (rules.goalBonusThreshold > 0 ? rules.goalBonusPoints : 0);
+
+// 'home', 'away' or 'draw'; a penalty shootout decides an otherwise level match
+const getMatchOutcome = (match) => getMatchWinner(match);
+
+// Points one side of a played match earns, including goal bonus and forfeit penalty
+const getMatchPoints = (match, side, rules) => {
+  const outcome = getMatchOutcome(match);
+  const goals = getTotalGoals(match)[side];
+
+  let points = rules.loss;
+  if (outcome === 'draw') points = rules.draw;
+  else if (outcome === side) points = rules.win;
+
+  if (rules.goalBonusThreshold > 0 && goals >= rules.goalBonusThreshold) {
+    points += rules.goalBonusPoints;
+  }
+  if (match.forfeitedBy === side) {
+    points -= rules.forfeitPenalty;
+  }
+  return points;
+};
+
+// Reset the given table rows and rebuild them from the played matches
+const computeStandings = (teams, matches, rules = DEFAULT_POINTS_SYSTEM) => {
+  const teamsByKey = new Map();
+  teams.forEach(team => {
+    team.played = 0;
+    team.won = 0;
+    team.drawn = 0;
+    team.lost = 0;
+    team.goalsFor = 0;
+    team.goalsAgainst = 0;
+    team.goalDifference = 0;
+    team.points = 0;
+    teamsByKey.set(getRowKey(team), team);
+  });
+
+  matches.filter(m => m.played).forEach(match => {
+    const homeTeam = teamsByKey.get(getSideKey(match, 'home'));
+    const awayTeam = teamsByKey.get(getSideKey(match, 'away'));
+    if (!homeTeam || !awayTeam) return;
+
+    homeTeam.played++;
+    awayTeam.played++;
+
+    // Extra-time goals count, shootout goals do not
+    const goals = getTotalGoals(match);
+    homeTeam.goalsFor += goals.home;
+    awayTeam.goalsFor += goals.away;
+    homeTeam.goalsAgainst += goals.away;
+    awayTeam.goalsAgainst += goals.home;
+    homeTeam.goalDifference = homeTeam.goalsFor - homeTeam.goalsAgainst;
+    awayTeam.goalDifference = awayTeam.goalsFor - awayTeam.goalsAgainst;
+
+    const outcome = getMatchOutcome(match);
+    if (outcome === 'home') {
+      homeTeam.won++;
+      awayTeam.lost++;
+    } else if (outcome === 'away') {
+      awayTeam.won++;
+      homeTeam.lost++;
+    } else {
+      homeTeam.drawn++;
+      awayTeam.drawn++;
+    }
+
+    homeTeam.points += getMatchPoints(match, 'home', rules);
+    awayTeam.points += getMatchPoints(match, 'away', rules);
+  });
+
+  return teams;
+};
+
+// Matches that count towards the table. Group-stage tournaments only count
+// group games so the knockout rounds do not change the group tables. Voided
+// matches never count.
+const getTableMatches = (league) =>
+  league.matches.filter(m =>
+    !m.voided && (league.format !== 'groups' || m.stage === 'group')
+  );
+
+const TIEBREAKERS = [
+  'headToHeadPoints',
+  'headToHeadGoalDifference',
+  'goalDifference',
+  'goalsScored',
+  'awayGoals',
+  'wins',
+  'fairPlay',
+  'buchholz',
+  'drawingOfLots'
+];
+
+const DEFAULT_TIEBREAKERS = [
+  'goalDifference',
+  'goalsScored',
+  'headToHeadPoints',
+  'headToHeadGoalDifference',
+  'wins',
+  'fairPlay',
+  'drawingOfLots'
+];
+
+const SWISS_TIEBREAKERS = ['buchholz', 'goalDifference', 'goalsScored', 'drawingOfLots'];
+
+// Ordered tiebreakers applied after points. Drawing of lots always closes the
+// chain so that every client ends up with the same order.
+const getTiebreakers = (league) => {
+  const configured = [...(league?.tiebreakers || [])];
+  if (configured.length === 0) {
+    return league?.format === 'swiss' ? SWISS_TIEBREAKERS : DEFAULT_TIEBREAKERS;
+  }
+  return configured.includes('drawingOfLots') ? configured : [...configured, 'drawingOfLots'];
+};
+
+// Draw lots for every team that has none yet. Lots are stored with the team
+// so every request ranks tied teams the same way; teams without a lot (rows
+// from before lots existed) tie on it and fall back to name order.
+const drawLots = (teams) => {
+  teams.forEach(team => {
+    if (team.drawLot == null) team.drawLot = Math.random();
+  });
+  return teams;
+};
+
+// Stats from the played matches between the given teams only
+const getMiniTable = (teams, matches, rules) => {
+  const keys = new Set(teams.map(getRowKey));
+  const rows = teams.map(t => ({ name: t.name, teamId: t.teamId }));
+  return computeStandings(rows, matches.filter(m => keys.has(getSideKey(m, 'home')) && keys.has(getSideKey(m, 'away'))), rules);
+};
+
+// Value of a criterion for each team in a tied group, by row key; higher
+// ranks first
+const getCriterionValues = (criterion, teams, matches, rules) => {
+  const values = new Map();
+
+  if (criterion === 'headToHeadPoints' || criterion === 'headToHeadGoalDifference') {
+    getMiniTable(teams, matches, rules).forEach(row => {
+      values.set(getRowKey(row), criterion === 'headToHeadPoints' ? row.points : row.goalDifference);
+    });
+    return values;
+  }
+
+  if (criterion === 'awayGoals') {
+    teams.forEach(t => values.set(getRowKey(t), 0));
+    matches.filter(m => m.played && values.has(getSideKey(m, 'away'))).forEach(m => {
+      const key = getSideKey(m, 'away');
+      values.set(key, values.get(key) + getTotalGoals(m).away);
+    });
+    return values;
+  }
+
+  const fields = {
+    points: 'points',
+    goalDifference: 'goalDifference',
+    goalsScored: 'goalsFor',
+    wins: 'won',
+    fairPlay: 'fairPlayPoints',
+    buchholz: 'buchholz'
+  };
+  teams.forEach(t => {
+    // Lots are drawn low-to-high
+    const value = criterion === 'drawingOfLots' ? -(t.drawLot ?? 0) : (t[fields[criterion]] || 0);
+    values.set(getRowKey(t), value);
+  });
+  return values;
+};
+
+// Sort teams by points, then by each tiebreaker in turn. Every criterion is
+// applied only to the teams still tied, so head-to-head is worked out between
+// exactly those teams.
+const rankTeams = (teams, matches, { rules = DEFAULT_POINTS_SYSTEM, tiebreakers = DEFAULT_TIEBREAKERS } = {}) => {
+  const rankGroup = (group, criteria) => {
+    if (group.length <= 1 || criteria.length === 0) {
+      return [...group].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const [criterion, ...rest] = criteria;
+    const values = getCriterionValues(criterion, group, matches, rules);
+    const sorted = [...group].sort((a, b) => values.get(getRowKey(b)) - values.get(getRowKey(a)));
+
+    const ranked = [];
+    let start = 0;
+    for (let i = 1; i <= sorted.length; i++) {
+      if (i === sorted.length || values.get(getRowKey(sorted[i])) !== values.get(getRowKey(sorted[start]))) {
+        ranked.push(...rankGroup(sorted.slice(start, i), rest));
+        start = i;
+      }
+    }
+    return ranked;
+  };
+
+  return rankGroup(teams, ['points', ...tiebreakers]);
+};
+
+// Split a table into one ranked table per group, in group order.
+// Leagues without groups come back as a single table named "".
+const buildGroupTables = (teams, matches, options) => {
+  const groupNames = [...new Set(teams.map(t => t.groupName || ''))].sort();
+  return groupNames.map(groupName => ({
+    groupName,
+    teams: rankTeams(teams.filter(t => (t.groupName || '') === groupName), matches, options)
+  }));
+};
+
+// Ranked tables for a league using its own scoring rules and tiebreakers
+const rankLeague = (league) =>
+  buildGroupTables(league.teams, getTableMatches(league), {
+    rules: getPointsSystem(league),
+    tiebreakers: getTiebreakers(league)
+  });
+
+module.exports = {
+  DEFAULT_POINTS_SYSTEM,
+  TIEBREAKERS,
+  getPointsSystem,
+  getMaxMatchPoints,
+  getMatchOutcome,
+  getMatchPoints,
+  computeStandings,
+  getTableMatches,
+  getTiebreakers,
+  drawLots,
+  rankTeams,
+  buildGroupTables,
+  rankLeague
+};
@@ -0,0 +1,46 @@
+// Pluggable file storage for uploaded match evidence.
+//
+// A backend is an object with `save(buffer, { extension, contentType })`
+// resolving to `{ key, url }` and `remove(key)`. Backends that keep files
+// private leave out `url` and provide `read(key)` resolving to the file's
+// buffer instead; their files are served by the match evidence route, which
+// checks that the user may see the league. The local disk backend is private
+// and used unless another one is registered with `setStorage`.
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const LOCAL_UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads");
+
+// Keys are generated by save; basename guards against paths sneaking in
+const createLocalStorage = ({ directory = LOCAL_UPLOAD_DIR } = {}) => ({
+  save: async (buffer, { extension = "" } = {}) => {
+    await fs.mkdir(directory, { recursive: true });
+    const key = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension ? `.${extension}` : ""}`;
+    await fs.writeFile(path.join(directory, key), buffer);
+    return { key };
+  },
+  read: (key) => fs.readFile(path.join(directory, path.basename(key))),
+  remove: async (key) => {
+    await fs.rm(path.join(directory, path.basename(key)), { force: true });
+  }
+});
+
+let storage = createLocalStorage();
+
+const getStorage = () => storage;
+
+const setStorage = (backend) => {
+  if (!backend || typeof backend.save !== "function" || typeof backend.remove !== "function") {
+    throw new Error("Storage backends need save and remove functions");
+  }
+  storage = backend;
+};
+
+module.exports = {
+  LOCAL_UPLOAD_DIR,
+  createLocalStorage,
+  getStorage,
+  setStorage
+};
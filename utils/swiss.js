@@ -0,0 +1,175 @@
+// Swiss-system pairing helpers shared by the league controller
+
+const { getRowKey, getSideKey } = require("./teams");
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Pairs already played (or scheduled) so rematches can be avoided
+const getPlayedPairs = (matches) =>
+  new Set(matches.map(m => pairKey(m.homeTeam, m.awayTeam)));
+
+// Whether the teams (indexes into `allowed`, the matrix of pairings that are
+// not rematches) can all be paired, i.e. whether they have a perfect
+// matching. Edmonds' blossom algorithm, O(n^3): each team in turn looks for an
+// augmenting path, and a team that finds none stays unpaired in every maximum
+// matching.
+const canPairAll = (teams, allowed) => {
+  const n = teams.length;
+  if (n % 2 === 1) return false;
+
+  const canMeet = (i, j) => allowed[teams[i]][teams[j]];
+  const match = new Array(n).fill(-1);
+  let parent, base, inQueue;
+
+  const findBase = (a, b) => {
+    const seen = new Array(n).fill(false);
+    for (;;) {
+      a = base[a];
+      seen[a] = true;
+      if (match[a] === -1) break;
+      a = parent[match[a]];
+    }
+    for (;;) {
+      b = base[b];
+      if (seen[b]) return b;
+      b = parent[match[b]];
+    }
+  };
+
+  const markBlossom = (v, b, child, inBlossom) => {
+    while (base[v] !== b) {
+      inBlossom[base[v]] = inBlossom[base[match[v]]] = true;
+      parent[v] = child;
+      child = match[v];
+      v = parent[match[v]];
+    }
+  };
+
+  // Unpaired team at the end of an augmenting path from root, or -1
+  const findPath = (root) => {
+    parent = new Array(n).fill(-1);
+    base = [...Array(n).keys()];
+    inQueue = new Array(n).fill(false);
+    inQueue[root] = true;
+    const queue = [root];
+
+    while (queue.length > 0) {
+      const v = queue.shift();
+      for (let to = 0; to < n; to++) {
+        if (!canMeet(v, to) || base[v] === base[to] || match[v] === to) continue;
+
+        if (to === root || (match[to] !== -1 && parent[match[to]] !== -1)) {
+          // Odd cycle: contract it into a blossom
+          const b = findBase(v, to);
+          const inBlossom = new Array(n).fill(false);
+          markBlossom(v, b, to, inBlossom);
+          markBlossom(to, b, v, inBlossom);
+          for (let i = 0; i < n; i++) {
+            if (!inBlossom[base[i]]) continue;
+            base[i] = b;
+            if (!inQueue[i]) {
+              inQueue[i] = true;
+              queue.push(i);
+            }
+          }
+        } else if (parent[to] === -1) {
+          parent[to] = v;
+          if (match[to] === -1) return to;
+          inQueue[match[to]] = true;
+          queue.push(match[to]);
+        }
+      }
+    }
+    return -1;
+  };
+
+  for (let root = 0; root < n; root++) {
+    if (match[root] !== -1) continue;
+    let v = findPath(root);
+    if (v === -1) return false;
+    while (v !== -1) {
+      const pv = parent[v];
+      const next = match[pv];
+      match[v] = pv;
+      match[pv] = v;
+      v = next;
+    }
+  }
+  return true;
+};
+
+// Pair teams in ranking order: each team takes the highest-ranked opponent it
+// has not met yet that still leaves the rest of the field pairable. Checking
+// that up front keeps this polynomial instead of backtracking through every
+// combination when no pairing exists.
+const pairRemaining = (teams, playedPairs) => {
+  const allowed = teams.map(a => teams.map(b => a !== b && !playedPairs.has(pairKey(a, b))));
+  let remaining = teams.map((_, index) => index);
+  if (!canPairAll(remaining, allowed)) return null;
+
+  const pairs = [];
+  while (remaining.length > 0) {
+    const [first, ...rest] = remaining;
+    const index = rest.findIndex((opponent, i) =>
+      allowed[first][opponent] &&
+      canPairAll([...rest.slice(0, i), ...rest.slice(i + 1)], allowed)
+    );
+    pairs.push([teams[first], teams[rest[index]]]);
+    remaining = [...rest.slice(0, index), ...rest.slice(index + 1)];
+  }
+  return pairs;
+};
+
+// Build the next Swiss round from team names ordered by current standings.
+// With an odd field the lowest-ranked team without a previous bye sits out.
+// The team with fewer home games so far plays at home.
+const pairSwissRound = (rankedTeams, { matches = [], byes = [] } = {}) => {
+  const playedPairs = getPlayedPairs(matches);
+  const previousByes = new Set(byes.map(b => b.teamName));
+
+  const homeCounts = {};
+  matches.forEach(m => {
+    homeCounts[m.homeTeam] = (homeCounts[m.homeTeam] || 0) + 1;
+  });
+
+  const byeCandidates = rankedTeams.length % 2 === 1
+    ? [...rankedTeams].reverse().filter(name => !previousByes.has(name))
+    : [null];
+
+  for (const byeTeam of byeCandidates) {
+    const field = rankedTeams.filter(name => name !== byeTeam);
+    const pairs = pairRemaining(field, playedPairs);
+    if (!pairs) continue;
+
+    const fixtures = pairs.map(([a, b]) =>
+      (homeCounts[b] || 0) < (homeCounts[a] || 0)
+        ? { home: b, away: a }
+        : { home: a, away: b }
+    );
+    return { fixtures, bye: byeTeam };
+  }
+
+  return { error: "No valid pairing is left without repeating a match" };
+};
+
+// Buchholz score per team key: the sum of the points of every opponent a
+// team has played
+const calculateBuchholz = (teams, matches) => {
+  const pointsByTeam = new Map(teams.map(t => [getRowKey(t), t.points]));
+  const buchholz = new Map(teams.map(t => [getRowKey(t), 0]));
+
+  matches.filter(m => m.played).forEach(m => {
+    const home = getSideKey(m, 'home');
+    const away = getSideKey(m, 'away');
+    if (!buchholz.has(home) || !buchholz.has(away)) return;
+    buchholz.set(home, buchholz.get(home) + pointsByTeam.get(away));
+    buchholz.set(away, buchholz.get(away) + pointsByTeam.get(home));
+  });
+
+  return buchholz;
+};
+
+module.exports = {
+  pairSwissRound,
+  calculateBuchholz
+};
@@ -0,0 +1,157 @@
+// Stable team identities shared by the league model and controller.
+//
+// Every team gets a teamId once, when it first joins a league, and keeps it
+// through renames and replacements. Fixtures, table rows, byes and winners
+// take the id when they are created and store it next to the display name.
+// Standings, tiebreakers and winners are worked out on the id; the name is
+// only shown, and renameTeam rewrites every name that belongs to an id.
+
+const mongoose = require("mongoose");
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Key of a team in a table row, match side or bye: its teamId, or its name
+// for rows from before ids that have not been migrated
+const getTeamKey = (teamId, name) => (teamId ? teamId.toString() : name || '');
+
+// Key of a table row, and of the home or away team of a match
+const getRowKey = (team) => getTeamKey(team.teamId, team.name);
+const getSideKey = (match, side) => getTeamKey(match[`${side}TeamId`], match[`${side}Team`]);
+
+// Table row of a team
+const findTeamRow = (teams, teamId, name) =>
+  (teams || []).find(t => getTeamKey(t.teamId, t.name) === getTeamKey(teamId, name)) || null;
+
+// Until when a participant played for its team: withdrawn participants up to
+// their withdrawal, everyone else for as long as the league runs
+const getOwnedUntil = (p) =>
+  (p.status === 'withdrawn' ? (p.withdrawnAt ? new Date(p.withdrawnAt).getTime() : 0) : Infinity);
+
+// Participant that played `side` of `match`. A withdrawn participant keeps
+// the matches played before it withdrew and its replacement gets the ones
+// after, so each of them keeps their own record of a shared team.
+const findMatchOwner = (participants, match, side) => {
+  const key = getSideKey(match, side);
+  const owners = (participants || [])
+    .filter(p => ['approved', 'withdrawn'].includes(p.status) && getTeamKey(p.teamId, p.teamName) === key)
+    .sort((a, b) => getOwnedUntil(a) - getOwnedUntil(b));
+  const playedAt = new Date(match.playedAt || match.date).getTime();
+  return owners.find(p => getOwnedUntil(p) > playedAt) || owners[owners.length - 1] || null;
+};
+
+// teamId for every team name of the league. A replacement shares the id of
+// the participant it replaced because it plays under the same name.
+const getTeamIdsByName = (league) => {
+  const ids = new Map();
+  (league.participants || []).forEach(p => {
+    if (p.teamId && !ids.has(p.teamName)) ids.set(p.teamName, p.teamId);
+  });
+  return ids;
+};
+
+// Participant currently playing as team `teamId`: a replacement rather than
+// the withdrawn player it replaced
+const findTeamOwner = (league, teamId) => {
+  const owners = (league.participants || []).filter(p => sameId(p.teamId, teamId));
+  return owners.find(p => p.status !== 'withdrawn') || owners[0] || null;
+};
+
+// Give participants that joined without a teamId their id. Ids already set
+// are never changed.
+const assignMissingTeamIds = (league) => {
+  const ids = getTeamIdsByName(league);
+  (league.participants || []).forEach(p => {
+    if (p.teamId) return;
+    if (!ids.has(p.teamName)) ids.set(p.teamName, new mongoose.Types.ObjectId());
+    p.teamId = ids.get(p.teamName);
+  });
+};
+
+// Point newly built table rows, matches and byes at the teamIds of the
+// participants they were drawn for. Fixtures are drawn by team name, which
+// is unique among a league's participants.
+const linkTeamIds = (participants, { teams = [], matches = [], byes = [] }) => {
+  const ids = new Map(participants.map(p => [p.teamName, p.teamId]));
+  const idOf = (name) => (name && ids.get(name)) || null;
+
+  teams.forEach(t => {
+    t.teamId = idOf(t.name);
+  });
+  matches.forEach(m => {
+    m.homeTeamId = idOf(m.homeTeam);
+    m.awayTeamId = idOf(m.awayTeam);
+  });
+  byes.forEach(b => {
+    b.teamId = idOf(b.teamName);
+  });
+};
+
+// Give every participant a teamId and point every match, table row, bye and
+// winner at the id of the team it names. Only for the migration of leagues
+// from before ids; live leagues set ids once and keep them.
+const assignTeamIds = (league) => {
+  assignMissingTeamIds(league);
+  const ids = getTeamIdsByName(league);
+  const idOf = (name) => (name && ids.get(name)) || null;
+
+  linkTeamIds(league.participants || [], league);
+  if (league.winner) {
+    league.winner.teamId = idOf(league.winner.teamName);
+  }
+  // Past winners keep the id they were awarded with
+  (league.previousWinners || []).forEach(w => {
+    if (!w.teamId) w.teamId = idOf(w.teamName);
+  });
+};
+
+// Rename a team (and optionally change its logo) everywhere in the league.
+// Archived seasons keep the name the team had at the time.
+const renameTeam = (league, teamId, { teamName, teamLogoUrl }) => {
+  const participants = league.participants.filter(p => sameId(p.teamId, teamId));
+  if (participants.length === 0) return null;
+  const previousName = participants[0].teamName;
+
+  participants.forEach(p => {
+    if (teamName) p.teamName = teamName;
+    if (teamLogoUrl !== undefined) p.teamLogoUrl = teamLogoUrl;
+  });
+
+  if (teamName) {
+    league.teams.forEach(t => {
+      if (sameId(t.teamId, teamId)) t.name = teamName;
+    });
+    league.matches.forEach(m => {
+      if (sameId(m.homeTeamId, teamId)) m.homeTeam = teamName;
+      if (sameId(m.awayTeamId, teamId)) m.awayTeam = teamName;
+    });
+    league.byes.forEach(b => {
+      if (sameId(b.teamId, teamId)) b.teamName = teamName;
+    });
+  }
+
+  const winners = [league.winner, ...league.previousWinners].filter(w => w && sameId(w.teamId, teamId));
+  winners.forEach(w => {
+    if (teamName) w.teamName = teamName;
+    if (teamLogoUrl !== undefined) w.teamLogo = teamLogoUrl;
+  });
+  if (teamLogoUrl !== undefined) {
+    league.teams.forEach(t => {
+      if (sameId(t.teamId, teamId)) t.logo = teamLogoUrl;
+    });
+  }
+
+  return { previousName, teamName: participants[0].teamName };
+};
+
+module.exports = {
+  getTeamKey,
+  getRowKey,
+  getSideKey,
+  findTeamRow,
+  findTeamOwner,
+  findMatchOwner,
+  assignMissingTeamIds,
+  linkTeamIds,
+  assignTeamIds,
+  renameTeam
+};
@@ -0,0 +1,66 @@
+// League visibility shared by the controllers.
+//
+// Public leagues are listed and searchable. Unlisted leagues are left out of
+// lists and searches but open to anyone with their code or a link. Private
+// leagues are only visible to their members: the admin, participants (except
+// rejected join requests) and waitlisted users.
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Leagues from before the setting existed are public
+const getVisibility = (league) => league?.visibility || 'public';
+
+const isListedLeague = (league) => getVisibility(league) === 'public';
+
+// Ids (strings) of everyone who can see a private league
+const getLeagueMemberIds = (league) => {
+  const ids = new Set();
+  const add = (id) => {
+    if (id) ids.add((id._id || id).toString());
+  };
+  add(league.admin);
+  (league.participants || []).forEach(p => {
+    if (p.status !== 'rejected') add(p.userId);
+  });
+  (league.waitlist || []).forEach(w => add(w.userId));
+  return [...ids];
+};
+
+const isLeagueMember = (league, user) =>
+  !!user && getLeagueMemberIds(league).includes((user._id || user.id).toString());
+
+// Whether `user` (null when signed out) may open the league by id, code or link
+const canViewLeague = (league, user) =>
+  getVisibility(league) !== 'private' || isLeagueMember(league, user);
+
+// Whether the league may show up in lists, searches and profiles seen by `user`
+const canListLeague = (league, user) =>
+  isListedLeague(league) || isLeagueMember(league, user);
+
+// Query for the leagues `user` may see in lists: public ones plus their own
+const getListedLeagueFilter = (user) => {
+  const listed = { visibility: { $nin: ['unlisted', 'private'] } };
+  if (!user) return listed;
+  const userId = user._id || user.id;
+  return {
+    $or: [
+      listed,
+      { admin: userId },
+      { participants: { $elemMatch: { userId, status: { $ne: 'rejected' } } } },
+      { 'waitlist.userId': userId }
+    ]
+  };
+};
+
+// Fields canViewLeague and canListLeague need when a query selects fields
+const VISIBILITY_FIELDS = 'visibility admin participants.userId participants.status waitlist.userId';
+
+module.exports = {
+  VISIBILITIES,
+  VISIBILITY_FIELDS,
+  isListedLeague,
+  getLeagueMemberIds,
+  canViewLeague,
+  canListLeague,
+  getListedLeagueFilter
+};